@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+import { AtmosphereShaderMaterial, MAX_ATMOSPHERE_STARS } from '../shaders/AtmosphereShaderMaterial.js';
+
+/**
+ * AtmosphereSystem manages the scattering shells of planets with a catalog `atmosphere`
+ *
+ * `thickness` is the shell's height in planet radii, `color` the color of scattered
+ * daylight, `density` how strongly it scatters, and the optional `sunsetColor` the tint
+ * near the terminator. If the scattering shader does not compile on this GPU, each
+ * shell falls back to a plain translucent glow.
+ */
+export class AtmosphereSystem {
+    constructor() {
+        this.atmospheres = [];
+
+        // Shared by every shell and updated once per frame
+        this.starPositions = { value: Array.from({ length: MAX_ATMOSPHERE_STARS }, () => new THREE.Vector3()) };
+        this.starColors = { value: Array.from({ length: MAX_ATMOSPHERE_STARS }, () => new THREE.Color()) };
+        this.starCount = { value: 0 };
+    }
+
+    /**
+     * Add an atmosphere to every planet whose catalog entry has one
+     */
+    create(planets) {
+        planets
+            .filter(planet => planet.userData.atmosphere)
+            .forEach(planet => {
+                const atmosphere = this.createAtmosphere(planet.userData);
+                planet.add(atmosphere);
+                this.atmospheres.push(atmosphere);
+            });
+    }
+
+    /**
+     * Build the shell for one planet
+     */
+    createAtmosphere(data) {
+        const { thickness, color, density, sunsetColor } = data.atmosphere;
+
+        const atmosphere = new THREE.Mesh(
+            new THREE.SphereGeometry(data.radius * (1 + thickness), 48, 48),
+            new AtmosphereShaderMaterial({
+                radius: data.radius,
+                thickness,
+                density,
+                color,
+                sunsetColor,
+                starPositions: this.starPositions,
+                starColors: this.starColors,
+                starCount: this.starCount
+            })
+        );
+        atmosphere.name = 'Atmosphere';
+        atmosphere.userData.fallbackMaterial = new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity: Math.min(0.12 * density, 0.4),
+            side: THREE.BackSide,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+
+        return atmosphere;
+    }
+
+    /**
+     * Compile the scene's shaders and switch to the fallback glow if the scattering shader failed
+     */
+    checkShaders(renderer, scene, camera) {
+        if (this.atmospheres.length === 0) return;
+
+        renderer.compile(scene, camera);
+
+        // Programs are checked for errors the first time their uniforms are read
+        const failed = this.atmospheres.filter(atmosphere => {
+            const program = renderer.properties.get(atmosphere.material).currentProgram;
+            program?.getUniforms();
+            return program?.diagnostics?.runnable === false;
+        });
+
+        if (failed.length > 0) {
+            console.warn('⚠️ Atmosphere shader failed to compile; using simple glows instead');
+            failed.forEach(atmosphere => {
+                atmosphere.material.dispose();
+                atmosphere.material = atmosphere.userData.fallbackMaterial;
+            });
+        }
+    }
+
+    /**
+     * Light every atmosphere from the current star positions, weighted by each star's brightness
+     */
+    update(suns) {
+        const brightest = Math.max(...suns.map(sun => sun.userData.light.intensity));
+
+        this.starCount.value = Math.min(suns.length, MAX_ATMOSPHERE_STARS);
+        suns.slice(0, MAX_ATMOSPHERE_STARS).forEach((sun, index) => {
+            sun.getWorldPosition(this.starPositions.value[index]);
+            this.starColors.value[index]
+                .copy(sun.userData.starColor)
+                .multiplyScalar(sun.userData.light.intensity / brightest);
+        });
+    }
+
+    /**
+     * Remove every atmosphere and free its GPU resources
+     */
+    dispose() {
+        this.atmospheres.forEach(atmosphere => {
+            atmosphere.geometry.dispose();
+            atmosphere.material.dispose();
+            atmosphere.userData.fallbackMaterial.dispose();
+            atmosphere.removeFromParent();
+        });
+        this.atmospheres = [];
+    }
+}
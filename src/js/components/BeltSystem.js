@@ -0,0 +1,188 @@
+import * as THREE from 'three';
+import { OrbitalMechanics } from '../utils/OrbitalMechanics.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { J2000 } from '../utils/SimulationClock.js';
+
+/**
+ * Earth's mean motion in degrees per day; other mean motions follow from Kepler's third law,
+ * scaled by the square root of the star's mass
+ */
+const EARTH_MEAN_MOTION = 0.9856076686;
+
+/**
+ * BeltSystem manages belts of small bodies, such as the asteroid and Kuiper belts, as point clouds
+ *
+ * Every body keeps its own Keplerian orbit and is solved on the CPU each update,
+ * then mapped to scene distance with the same radial scale as the planets.
+ */
+export class BeltSystem {
+    constructor(scene, getSceneDistance, beltData = [], starMass = 1) {
+        this.scene = scene;
+        this.getSceneDistance = getSceneDistance;
+        this.starMass = starMass; // Solar masses
+        this.belts = [];
+        this.visible = true;
+
+        // Belt definitions from the catalog; each population draws its orbits from the
+        // given distributions, skipping resonance gaps (e.g. the Kirkwood gaps)
+        this.beltData = beltData;
+    }
+
+    /**
+     * Generate all belts and add them to the scene
+     */
+    create() {
+        this.beltData.forEach(data => {
+            const belt = this.createBelt(data);
+            this.belts.push(belt);
+            this.scene.add(belt.points);
+        });
+    }
+
+    /**
+     * Generate one belt's orbits and point cloud
+     */
+    createBelt(data) {
+        const random = new SeededRandom(data.seed);
+        const count = data.populations.reduce((sum, population) => sum + population.count, 0);
+
+        // Per-body orbit: semi-major axis, eccentricity, mean anomaly at J2000, mean motion,
+        // and the in-plane basis vectors P (towards perihelion) and Q in scene space
+        const orbits = {
+            semiMajorAxis: new Float64Array(count),
+            eccentricity: new Float64Array(count),
+            meanAnomaly: new Float64Array(count),
+            meanMotion: new Float64Array(count),
+            basis: new Float64Array(count * 6)
+        };
+
+        const positions = new Float32Array(count * 3);
+        const colors = new Float32Array(count * 3);
+        const color = new THREE.Color();
+        const p = new THREE.Vector3();
+        const q = new THREE.Vector3();
+
+        let index = 0;
+        data.populations.forEach(population => {
+            for (let n = 0; n < population.count; n++, index++) {
+                const elements = {
+                    semiMajorAxis: this.sampleSemiMajorAxis(random, population),
+                    eccentricity: Math.min(random.rayleigh(population.eccentricitySigma), 0.6),
+                    inclination: random.rayleigh(population.inclinationSigma),
+                    longitudeOfAscendingNode: random.range(0, 360),
+                    argumentOfPerihelion: random.range(0, 360)
+                };
+
+                OrbitalMechanics.orbitalPlaneToScene(elements, 1, 0, p);
+                OrbitalMechanics.orbitalPlaneToScene(elements, 0, 1, q);
+
+                orbits.semiMajorAxis[index] = elements.semiMajorAxis;
+                orbits.eccentricity[index] = elements.eccentricity;
+                orbits.meanAnomaly[index] = random.range(0, Math.PI * 2);
+                orbits.meanMotion[index] = THREE.MathUtils.degToRad(EARTH_MEAN_MOTION) *
+                    Math.sqrt(this.starMass / Math.pow(elements.semiMajorAxis, 3));
+                orbits.basis.set([p.x, p.y, p.z, q.x, q.y, q.z], index * 6);
+
+                color.set(population.colors[Math.floor(random.next() * population.colors.length)]);
+                color.multiplyScalar(random.range(0.7, 1.1));
+                colors.set([color.r, color.g, color.b], index * 3);
+            }
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+        const material = new THREE.PointsMaterial({
+            size: data.size,
+            vertexColors: true,
+            sizeAttenuation: true,
+            transparent: true,
+            opacity: 0.85,
+            depthWrite: false
+        });
+
+        const points = new THREE.Points(geometry, material);
+        points.name = data.name;
+        points.frustumCulled = false;
+        points.visible = this.visible;
+
+        return { name: data.name, points, orbits, count };
+    }
+
+    /**
+     * Draw a semi-major axis from a population's range, rejecting resonance gaps
+     */
+    sampleSemiMajorAxis(random, population) {
+        const [min, max] = population.semiMajorAxis;
+        const gaps = population.gaps || [];
+
+        for (let attempt = 0; attempt < 50; attempt++) {
+            const a = random.range(min, max);
+            const inGap = gaps.some(gap => Math.abs(a - gap.semiMajorAxis) < gap.halfWidth);
+            if (!inGap) return a;
+        }
+
+        return min;
+    }
+
+    /**
+     * Move every belt body to its position at a Julian date
+     */
+    update(julianDate) {
+        if (!this.visible) return;
+
+        const days = julianDate - J2000;
+
+        this.belts.forEach(belt => {
+            const { semiMajorAxis, eccentricity, meanAnomaly, meanMotion, basis } = belt.orbits;
+            const positions = belt.points.geometry.attributes.position;
+            const array = positions.array;
+
+            for (let i = 0; i < belt.count; i++) {
+                const a = semiMajorAxis[i];
+                const e = eccentricity[i];
+                const E = OrbitalMechanics.solveKepler(meanAnomaly[i] + meanMotion[i] * days, e);
+
+                const xOrbit = a * (Math.cos(E) - e);
+                const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+                const b = i * 6;
+                const x = basis[b] * xOrbit + basis[b + 3] * yOrbit;
+                const y = basis[b + 1] * xOrbit + basis[b + 4] * yOrbit;
+                const z = basis[b + 2] * xOrbit + basis[b + 5] * yOrbit;
+
+                const distance = Math.sqrt(x * x + y * y + z * z);
+                const scale = this.getSceneDistance(distance) / distance;
+
+                array[i * 3] = x * scale;
+                array[i * 3 + 1] = y * scale;
+                array[i * 3 + 2] = z * scale;
+            }
+
+            positions.needsUpdate = true;
+        });
+    }
+
+    /**
+     * Show or hide all belts
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.belts.forEach(belt => {
+            belt.points.visible = visible;
+        });
+    }
+
+    /**
+     * Dispose of belt resources
+     */
+    dispose() {
+        this.belts.forEach(belt => {
+            belt.points.geometry.dispose();
+            belt.points.material.dispose();
+            this.scene.remove(belt.points);
+        });
+        this.belts = [];
+    }
+}
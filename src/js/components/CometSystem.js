@@ -0,0 +1,293 @@
+import * as THREE from 'three';
+import { OrbitalMechanics } from '../utils/OrbitalMechanics.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { J2000, DAYS_PER_CENTURY } from '../utils/SimulationClock.js';
+import { ParticleShaderMaterial } from '../shaders/ParticleShaderMaterial.js';
+import { OrbitLine } from './OrbitLine.js';
+
+/**
+ * Earth's mean motion in degrees per day; comet mean motions follow from Kepler's third law,
+ * scaled by the square root of the star's mass
+ */
+const EARTH_MEAN_MOTION = 0.9856076686;
+
+/**
+ * Heliocentric distance (AU) beyond which comets show no tails
+ */
+const TAIL_CUTOFF_DISTANCE = 6;
+
+/**
+ * Radius of the nucleus mesh at the compressed scale
+ */
+const NUCLEUS_RADIUS = 0.15;
+
+/**
+ * CometSystem manages comets on eccentric orbits with sun-facing ion and dust tails
+ */
+export class CometSystem {
+    constructor(scene, getSceneDistance, cometData, starMass = 1) {
+        this.scene = scene;
+        this.getSceneDistance = getSceneDistance;
+        this.starMass = starMass; // Solar masses
+        this.comets = [];
+        this.orbitLines = [];
+
+        // Catalog entries of type "comet": heliocentric ecliptic elements (AU, degrees)
+        // with the Julian date of perihelion
+        this.cometData = cometData;
+    }
+
+    /**
+     * Create comet nuclei, tails and orbit lines
+     */
+    create() {
+        this.cometData.forEach((data, index) => {
+            const comet = this.createComet(data, index);
+            this.comets.push(comet);
+            this.scene.add(comet);
+            this.scene.add(comet.userData.ionTail);
+            this.scene.add(comet.userData.dustTail);
+
+            const orbit = this.createOrbitLine(comet);
+            this.orbitLines.push(orbit);
+            this.scene.add(orbit);
+        });
+    }
+
+    /**
+     * Create a comet nucleus with its coma and tails
+     */
+    createComet(data, index) {
+        const meanMotion = EARTH_MEAN_MOTION * Math.sqrt(this.starMass / Math.pow(data.semiMajorAxis, 3));
+
+        const nucleus = new THREE.Mesh(
+            new THREE.SphereGeometry(NUCLEUS_RADIUS, 16, 16),
+            new THREE.MeshBasicMaterial({ color: data.color })
+        );
+        nucleus.name = data.name;
+
+        // Soft coma that brightens near the Sun
+        const coma = new THREE.Mesh(
+            new THREE.SphereGeometry(0.45, 16, 16),
+            new THREE.MeshBasicMaterial({
+                color: 0x9fd8ff,
+                transparent: true,
+                opacity: 0,
+                side: THREE.BackSide,
+                depthWrite: false
+            })
+        );
+        nucleus.add(coma);
+
+        const random = new SeededRandom(2061 + index);
+
+        nucleus.userData = {
+            ...data,
+            isComet: true,
+            tailScale: data.tailScale ?? 1,
+            orbitSegments: data.orbitSegments ?? 512,
+            focusDistance: 10,
+            // Mean anomaly at J2000 and its rate, in the same form as the planet elements
+            meanAnomaly: meanMotion * (J2000 - data.perihelionJulianDate),
+            rates: { meanAnomaly: meanMotion * DAYS_PER_CENTURY },
+            meanMotion: THREE.MathUtils.degToRad(meanMotion),
+            coma,
+            ionTail: this.createTail(random, 600, {
+                baseColor: new THREE.Color(0x4fa8ff),
+                accentColor: new THREE.Color(0x9fd8ff),
+                size: 1.5
+            }),
+            dustTail: this.createTail(random, 900, {
+                baseColor: new THREE.Color(0xffe9a8),
+                accentColor: new THREE.Color(0xffc870),
+                size: 2.0
+            })
+        };
+
+        return nucleus;
+    }
+
+    /**
+     * Create a tail point cloud; each particle keeps a fixed place along and across the tail
+     */
+    createTail(random, count, materialOptions) {
+        const positions = new Float32Array(count * 3);
+        const colors = new Float32Array(count * 3);
+        const sizes = new Float32Array(count);
+        const phases = new Float32Array(count);
+        const along = new Float32Array(count);
+        const across = new Float32Array(count * 2);
+
+        for (let i = 0; i < count; i++) {
+            // Bias particles toward the head, where the tail is densest
+            const t = Math.pow(random.next(), 1.6);
+            const brightness = 1 - t * 0.85;
+
+            along[i] = t;
+            across[i * 2] = random.gaussian();
+            across[i * 2 + 1] = random.gaussian();
+            sizes[i] = 0.03 * (1 - t * 0.6);
+            phases[i] = random.range(0, Math.PI * 2);
+            colors.set([brightness, brightness, brightness], i * 3);
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+        geometry.setAttribute('phase', new THREE.BufferAttribute(phases, 1));
+
+        const tail = new THREE.Points(geometry, new ParticleShaderMaterial({ ...materialOptions, shape: 'circle' }));
+        tail.frustumCulled = false;
+        tail.userData = { along, across, count };
+        return tail;
+    }
+
+    /**
+     * Create an orbit line, mapped to scene distances like the comet itself
+     */
+    createOrbitLine(comet) {
+        const data = comet.userData;
+        const points = OrbitalMechanics.getOrbitPoints(data, data.orbitSegments);
+
+        const orbit = new OrbitLine(points, data.color, comet);
+        orbit.userData.points = points; // AU
+        data.orbitLine = orbit;
+        this.updateOrbitLine(orbit);
+        return orbit;
+    }
+
+    /**
+     * Map an orbit line's points from AU to the current scene distances
+     */
+    updateOrbitLine(orbit) {
+        orbit.setPoints(orbit.userData.points.map(pointAU => (
+            pointAU.clone().setLength(this.getSceneDistance(pointAU.length()))
+        )));
+    }
+
+    /**
+     * Resize nuclei and remap orbit lines for the current scale mode
+     */
+    applyScale(scaleModel) {
+        this.comets.forEach(comet => {
+            comet.userData.sizeScale = scaleModel.radius(comet.userData) / NUCLEUS_RADIUS;
+            comet.scale.setScalar(comet.userData.sizeScale);
+        });
+
+        this.orbitLines.forEach(orbit => this.updateOrbitLine(orbit));
+    }
+
+    /**
+     * Move comets and rebuild their tails for a Julian date
+     */
+    update(julianDate) {
+        const centuries = (julianDate - J2000) / DAYS_PER_CENTURY;
+        const heliocentric = new THREE.Vector3();
+        const velocity = new THREE.Vector3();
+
+        this.comets.forEach(comet => {
+            const userData = comet.userData;
+            const elements = OrbitalMechanics.getElementsAt(userData, centuries);
+            const meanAnomaly = THREE.MathUtils.degToRad(elements.meanAnomaly);
+
+            OrbitalMechanics.getPosition(elements, meanAnomaly, heliocentric);
+            OrbitalMechanics.getVelocity(elements, meanAnomaly, userData.meanMotion, velocity);
+
+            const distanceAU = heliocentric.length();
+            comet.position.copy(heliocentric).setLength(this.getSceneDistance(distanceAU));
+
+            // Activity rises roughly with the inverse square of the distance to the Sun
+            const activity = distanceAU < TAIL_CUTOFF_DISTANCE
+                ? Math.min(1 / (distanceAU * distanceAU), 4) * (1 - distanceAU / TAIL_CUTOFF_DISTANCE)
+                : 0;
+            const length = activity * 6 * userData.tailScale;
+
+            userData.coma.material.opacity = Math.min(activity * 0.4, 0.5);
+            userData.coma.scale.setScalar(1 + activity);
+
+            const antiSolar = comet.position.clone().normalize();
+            const trailing = velocity.normalize().negate();
+
+            // Ion tail: straight out along the solar wind
+            this.updateTail(userData.ionTail, comet.position, length, 0.04, () => antiSolar);
+
+            // Dust tail: curves back along the orbit as grains fall behind the nucleus
+            const direction = new THREE.Vector3();
+            this.updateTail(userData.dustTail, comet.position, length * 0.8, 0.12, (t) =>
+                direction.copy(antiSolar).addScaledVector(trailing, 0.9 * t).normalize()
+            );
+        });
+    }
+
+    /**
+     * Lay out tail particles from the nucleus along a (possibly curving) direction
+     */
+    updateTail(tail, origin, length, spread, getDirection) {
+        const { along, across, count } = tail.userData;
+        const positions = tail.geometry.attributes.position;
+        const array = positions.array;
+
+        tail.visible = length > 0.05;
+        if (!tail.visible) return;
+
+        const side = new THREE.Vector3();
+        const up = new THREE.Vector3();
+        const point = new THREE.Vector3();
+
+        for (let i = 0; i < count; i++) {
+            const t = along[i];
+            const direction = getDirection(t);
+
+            // Basis perpendicular to the local tail direction
+            side.set(0, 1, 0).cross(direction);
+            if (side.lengthSq() < 1e-6) side.set(1, 0, 0);
+            side.normalize();
+            up.crossVectors(direction, side);
+
+            const width = spread * length * (0.2 + t);
+            point.copy(origin)
+                .addScaledVector(direction, length * t)
+                .addScaledVector(side, across[i * 2] * width)
+                .addScaledVector(up, across[i * 2 + 1] * width);
+
+            array[i * 3] = point.x;
+            array[i * 3 + 1] = point.y;
+            array[i * 3 + 2] = point.z;
+        }
+
+        positions.needsUpdate = true;
+    }
+
+    /**
+     * Advance the tail shimmer animation
+     */
+    updateTime(time) {
+        this.comets.forEach(comet => {
+            comet.userData.ionTail.material.updateTime(time);
+            comet.userData.dustTail.material.updateTime(time);
+        });
+    }
+
+    /**
+     * Dispose of comet resources
+     */
+    dispose() {
+        this.comets.forEach(comet => {
+            [comet, comet.userData.coma, comet.userData.ionTail, comet.userData.dustTail].forEach(object => {
+                object.geometry.dispose();
+                object.material.dispose();
+            });
+            this.scene.remove(comet, comet.userData.ionTail, comet.userData.dustTail);
+        });
+
+        this.orbitLines.forEach(orbit => {
+            orbit.geometry.dispose();
+            orbit.material.dispose();
+            this.scene.remove(orbit);
+        });
+
+        this.comets = [];
+        this.orbitLines = [];
+    }
+}
@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+import { OrbitalMechanics } from '../utils/OrbitalMechanics.js';
+import { LagrangePoints } from '../utils/LagrangePoints.js';
+
+const POINT_NAMES = ['L1', 'L2', 'L3', 'L4', 'L5'];
+
+/**
+ * Marker radius in multiples of the secondary's on-screen radius
+ */
+const MARKER_SIZE = 0.35;
+
+/**
+ * Marker colors for points where bodies stay and points they drift away from
+ */
+const STABLE_COLOR = 0x66dd88;
+const UNSTABLE_COLOR = 0xffaa44;
+
+/**
+ * Smallest Hill sphere drawn, in the secondary's on-screen radii, and the margin it keeps
+ * around the outermost moon's orbit, for scale modes that enlarge bodies and moon orbits
+ */
+const HILL_MIN_RADII = 3;
+const HILL_MOON_MARGIN = 1.2;
+
+/**
+ * What each point is like for the tooltip, before the catalog's list of known objects
+ */
+const POINT_DESCRIPTIONS = {
+    L1: 'Between the two bodies. Unstable: anything here drifts away unless it keeps station, so it suits spacecraft watching the primary.',
+    L2: 'Beyond the secondary, facing away from the primary. Unstable: spacecraft here keep station on small thrusts.',
+    L3: 'On the far side of the primary, always hidden behind it. Unstable and hard to reach.',
+    L4: 'Leading the secondary by 60°.',
+    L5: 'Trailing the secondary by 60°.'
+};
+
+/**
+ * LagrangeSystem marks the L1–L5 points of one pair of bodies and the secondary's Hill sphere
+ *
+ * The pair is `{ primary, secondary, primaryName, primaryMass, secondaryMass, moons }`:
+ * the secondary's mesh, the mesh it orbits (null for the barycentre of the stars), masses
+ * in kg and the meshes of the secondary's own moons. Points come from the circular
+ * restricted three-body problem and follow the bodies every update. L3–L5 sit on the
+ * secondary's orbit as drawn; L1 and L2 lie on the Hill sphere, which is drawn at its
+ * true size in proportion to the orbit but, where bodies are enlarged, never smaller than
+ * HILL_MIN_RADII radii or the secondary's own moon orbits. The catalog's optional
+ * `lagrangePoints` of the secondary name known objects at each point.
+ */
+export class LagrangeSystem {
+    constructor(scene) {
+        this.scene = scene;
+        this.pair = null;
+
+        this.group = new THREE.Group();
+        this.group.name = 'Lagrange Points';
+        this.group.visible = false;
+        this.scene.add(this.group);
+
+        const markerGeometry = new THREE.OctahedronGeometry(1);
+        this.markers = POINT_NAMES.map(point => {
+            const marker = new THREE.Mesh(markerGeometry, new THREE.MeshBasicMaterial({ color: UNSTABLE_COLOR }));
+            marker.userData.point = point;
+            this.group.add(marker);
+            return marker;
+        });
+
+        this.hillSphere = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 48, 32),
+            new THREE.MeshBasicMaterial({
+                transparent: true,
+                opacity: 0.08,
+                depthWrite: false
+            })
+        );
+        this.hillSphere.name = 'Hill Sphere';
+        this.group.add(this.hillSphere);
+    }
+
+    /**
+     * Mark the points of a pair of bodies, or hide the markers when the pair is null
+     */
+    setPair(pair) {
+        this.pair = pair;
+        this.group.visible = Boolean(pair);
+        if (!pair) return;
+
+        const { secondary, primaryName, primaryMass, secondaryMass } = pair;
+        const mu = LagrangePoints.getMassRatio(primaryMass, secondaryMass);
+        const knownObjects = secondary.userData.lagrangePoints || {};
+        const trojansStable = LagrangePoints.isTrojanStable(mu);
+
+        pair.distances = LagrangePoints.getCollinearDistances(mu);
+        pair.hillFraction = LagrangePoints.getHillRadius(1, primaryMass, secondaryMass);
+
+        this.markers.forEach(marker => {
+            const point = marker.userData.point;
+            const stable = trojansStable && (point === 'L4' || point === 'L5');
+
+            let info = POINT_DESCRIPTIONS[point];
+            if (point === 'L4' || point === 'L5') {
+                info += stable
+                    ? ' Stable: the primary outweighs the secondary enough that trojans gather here.'
+                    : ' Unstable: the secondary is too massive for trojans to stay.';
+            }
+            if (knownObjects[point]) {
+                info += ` Known here: ${knownObjects[point]}.`;
+            }
+
+            marker.name = `${primaryName}–${secondary.name} ${point}`;
+            marker.userData.info = info;
+            marker.material.color.set(stable ? STABLE_COLOR : UNSTABLE_COLOR);
+        });
+
+        this.hillSphere.material.color.set(secondary.userData.color ?? 0xffffff);
+    }
+
+    /**
+     * Move the markers and the Hill sphere with the pair for a time in Julian centuries since J2000
+     */
+    update(centuries) {
+        if (!this.pair) return;
+
+        const { primary, secondary, moons, distances, hillFraction } = this.pair;
+
+        const origin = primary ? primary.getWorldPosition(new THREE.Vector3()) : new THREE.Vector3();
+        const position = secondary.getWorldPosition(new THREE.Vector3());
+        const offset = position.clone().sub(origin);
+        const separation = offset.length();
+        const direction = offset.clone().divideScalar(separation);
+
+        // Orbit normal, along the secondary's angular momentum
+        const elements = OrbitalMechanics.getElementsAt(secondary.userData, centuries);
+        const normal = new THREE.Vector3().crossVectors(
+            OrbitalMechanics.orbitalPlaneToScene(elements, 1, 0),
+            OrbitalMechanics.orbitalPlaneToScene(elements, 0, 1)
+        ).normalize();
+
+        // Hill radius in scene units, widened where bodies and moon orbits are enlarged
+        const radius = secondary.geometry.parameters.radius * secondary.scale.x;
+        const moonExtent = Math.max(0, ...moons.map(moon => moon.userData.orbitScale * moon.userData.semiMajorAxis));
+        const hillRadius = Math.max(
+            hillFraction * separation,
+            HILL_MIN_RADII * radius,
+            HILL_MOON_MARGIN * moonExtent
+        );
+
+        // L1 and L2 keep their place relative to the Hill sphere, L3 relative to the orbit
+        const [l1, l2, l3] = distances;
+        const localScale = hillRadius / hillFraction;
+        const [m1, m2, m3, m4, m5] = this.markers;
+
+        m1.position.copy(position).addScaledVector(direction, (l1 - 1) * localScale);
+        m2.position.copy(position).addScaledVector(direction, (l2 - 1) * localScale);
+        m3.position.copy(origin).addScaledVector(direction, l3 * separation);
+        m4.position.copy(offset).applyAxisAngle(normal, Math.PI / 3).add(origin);
+        m5.position.copy(offset).applyAxisAngle(normal, -Math.PI / 3).add(origin);
+
+        this.markers.forEach(marker => {
+            marker.scale.setScalar(MARKER_SIZE * radius);
+            marker.userData.focusDistance = 20 * MARKER_SIZE * radius;
+        });
+
+        this.hillSphere.position.copy(position);
+        this.hillSphere.scale.setScalar(hillRadius);
+    }
+
+    /**
+     * Get the markers that can currently be picked with the mouse
+     */
+    getPickableObjects() {
+        return this.pair ? this.markers : [];
+    }
+
+    /**
+     * Remove the markers and the Hill sphere and free their GPU resources
+     */
+    dispose() {
+        this.markers[0].geometry.dispose();
+        this.markers.forEach(marker => marker.material.dispose());
+        this.hillSphere.geometry.dispose();
+        this.hillSphere.material.dispose();
+        this.scene.remove(this.group);
+        this.pair = null;
+    }
+}
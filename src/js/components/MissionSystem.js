@@ -0,0 +1,268 @@
+import * as THREE from 'three';
+import { OrbitLine } from './OrbitLine.js';
+import { Ephemeris } from '../utils/Ephemeris.js';
+import { AU_KM } from '../utils/ScaleModel.js';
+import { SimulationClock, J2000, DAYS_PER_CENTURY } from '../utils/SimulationClock.js';
+
+/**
+ * Radius of the spacecraft marker at the compressed scale
+ */
+const MARKER_RADIUS = 0.15;
+
+/**
+ * Points drawn along the path per trajectory sample
+ */
+const PATH_SUBDIVISIONS = 2;
+
+/**
+ * Distance from a planet, as a fraction of the planet's distance from the star, over
+ * which a path is eased onto the planet as drawn
+ */
+const FLYBY_BLEND_DISTANCE = 0.1;
+
+/**
+ * Speed of one AU per day in km/s
+ */
+const KM_PER_SECOND = AU_KM / 86400;
+
+/**
+ * MissionSystem flies historical spacecraft along their sampled trajectories (see MissionTrajectory)
+ *
+ * Trajectories are heliocentric in AU and mapped to the scene by distance from the
+ * star, like comets. Outside true scale each planet's orbit is scaled on its own, so
+ * near the planets a mission's events name, the path is eased onto the planet as
+ * drawn at its ephemeris position; flybys and orbits then meet the planet meshes.
+ * Spacecraft show only while flying and their `userData.orbitLine` is their path,
+ * so the two highlight together. Spacecraft that coast on after their last sample
+ * extend their path to where they are.
+ */
+export class MissionSystem {
+    constructor(scene, getSceneDistance, planets) {
+        this.scene = scene;
+        this.getSceneDistance = getSceneDistance;
+        this.planets = planets;
+        this.spacecraft = [];
+        this.paths = [];
+        this.visible = false;
+    }
+
+    /**
+     * Create a spacecraft and its path for each loaded mission
+     */
+    create(missions) {
+        missions.forEach(mission => {
+            const spacecraft = this.createSpacecraft(mission);
+            this.spacecraft.push(spacecraft);
+            this.scene.add(spacecraft);
+
+            const path = this.createPath(spacecraft);
+            this.paths.push(path);
+            this.scene.add(path);
+        });
+
+        this.setVisible(this.visible);
+    }
+
+    /**
+     * Create the marker for a mission's spacecraft
+     */
+    createSpacecraft(mission) {
+        const spacecraft = new THREE.Mesh(
+            new THREE.OctahedronGeometry(MARKER_RADIUS),
+            new THREE.MeshBasicMaterial({ color: mission.color })
+        );
+        spacecraft.name = mission.name;
+
+        const bodies = new Set(mission.events.map(event => event.body).filter(Boolean));
+
+        spacecraft.userData = {
+            mission,
+            type: 'spacecraft',
+            radius: MARKER_RADIUS,
+            sizeScale: 1,
+            focusDistance: 10,
+            info: mission.info,
+            // Planets the events name; those with a host star of their own are not centred like the trajectory
+            encounters: this.planets.filter(planet => bodies.has(planet.name) && !planet.userData.host)
+        };
+
+        return spacecraft;
+    }
+
+    /**
+     * Create a mission's path through its samples, with the planets each point is eased onto
+     */
+    createPath(spacecraft) {
+        const { mission, encounters } = spacecraft.userData;
+        const times = [];
+
+        mission.times.forEach((time, index) => {
+            times.push(time);
+            if (index === mission.times.length - 1) return;
+
+            const span = mission.times[index + 1] - time;
+            for (let i = 1; i < PATH_SUBDIVISIONS; i++) {
+                times.push(time + span * i / PATH_SUBDIVISIONS);
+            }
+        });
+
+        // Coasting spacecraft get a last point that moves with them
+        if (mission.extrapolate) {
+            times.push(mission.endJulian);
+        }
+
+        const pointsAU = times.map(time => mission.getPosition(time));
+        const corrections = pointsAU.map((point, index) => this.getCorrections(point, times[index], encounters));
+
+        const path = new OrbitLine(pointsAU.map(() => new THREE.Vector3()), mission.color, spacecraft);
+        path.name = `${mission.name} Trajectory`;
+        path.userData.pointsAU = pointsAU;
+        path.userData.corrections = corrections;
+        path.userData.points = pointsAU.map(() => new THREE.Vector3());
+        path.userData.tailJulian = null;
+        spacecraft.userData.orbitLine = path;
+
+        // Points are placed once the planets are scaled (see applyScale)
+        return path;
+    }
+
+    /**
+     * Planets near a position in AU at a Julian date, with their positions in AU and how strongly each pulls the path
+     */
+    getCorrections(positionAU, julian, encounters) {
+        const centuries = (julian - J2000) / DAYS_PER_CENTURY;
+
+        return encounters
+            .map(planet => {
+                const position = Ephemeris.getOrbitPosition(planet.userData, centuries);
+                const reach = FLYBY_BLEND_DISTANCE * position.length();
+                const weight = 1 - THREE.MathUtils.smoothstep(position.distanceTo(positionAU), 0, reach);
+                return { planet, position, weight };
+            })
+            .filter(correction => correction.weight > 0);
+    }
+
+    /**
+     * Map a position in AU to the scene, eased onto nearby planets as drawn
+     */
+    toScene(positionAU, corrections, target = new THREE.Vector3()) {
+        target.copy(positionAU).setLength(this.getSceneDistance(positionAU.length()));
+
+        corrections.forEach(({ planet, position, weight }) => {
+            // Offset from where the distance mapping puts the planet to where its scaled orbit does
+            const mapped = position.clone().setLength(this.getSceneDistance(position.length()));
+            target.addScaledVector(position, planet.userData.orbitScale * weight).addScaledVector(mapped, -weight);
+        });
+
+        return target;
+    }
+
+    /**
+     * Remap a path's points for the current scale
+     */
+    updatePath(path) {
+        const { pointsAU, corrections, points } = path.userData;
+
+        pointsAU.forEach((point, index) => this.toScene(point, corrections[index], points[index]));
+        path.userData.tailJulian = null;
+        path.setPoints(points);
+    }
+
+    /**
+     * Move a coasting spacecraft's last path point to where it is at a Julian date
+     */
+    updateTail(spacecraft, julian) {
+        const { mission, orbitLine: path } = spacecraft.userData;
+        const tailJulian = Math.max(julian, mission.endJulian);
+        if (!mission.extrapolate || tailJulian === path.userData.tailJulian) return;
+
+        const { points } = path.userData;
+        const positionAU = mission.getPosition(tailJulian);
+        this.toScene(positionAU, [], points[points.length - 1]);
+        path.userData.tailJulian = tailJulian;
+        path.setPoints(points);
+    }
+
+    /**
+     * Resize the spacecraft and remap the paths for the current scale mode
+     */
+    applyScale(scaleModel) {
+        this.spacecraft.forEach(spacecraft => {
+            spacecraft.userData.sizeScale = scaleModel.radius(spacecraft.userData) / MARKER_RADIUS;
+            spacecraft.scale.setScalar(spacecraft.userData.sizeScale);
+        });
+
+        this.paths.forEach(path => this.updatePath(path));
+    }
+
+    /**
+     * Place the spacecraft for a Julian date and describe where each is
+     */
+    update(julian) {
+        const positionAU = new THREE.Vector3();
+
+        this.spacecraft.forEach(spacecraft => {
+            const { mission, encounters } = spacecraft.userData;
+            const flying = mission.getPosition(julian, positionAU) !== null;
+
+            spacecraft.visible = this.visible && flying;
+            if (!flying) return;
+
+            this.toScene(positionAU, this.getCorrections(positionAU, julian, encounters), spacecraft.position);
+            this.updateTail(spacecraft, julian);
+            spacecraft.userData.info = MissionSystem.describe(mission, julian, positionAU);
+        });
+    }
+
+    /**
+     * Tooltip text for a spacecraft: where it is, how fast it goes and its last event
+     */
+    static describe(mission, julian, positionAU) {
+        const speed = mission.getVelocity(julian).length() * KM_PER_SECOND;
+        const event = mission.getLastEvent(julian);
+        const since = event ? ` Last: ${event.name}, ${SimulationClock.formatJulianDate(event.julian).slice(0, 10)}.` : '';
+
+        return `${positionAU.length().toFixed(2)} AU from the Sun at ${speed.toFixed(1)} km/s.${since} ${mission.info}`.trim();
+    }
+
+    /**
+     * Show or hide the spacecraft and their paths
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.paths.forEach(path => {
+            path.visible = visible;
+        });
+        this.spacecraft.forEach(spacecraft => {
+            spacecraft.visible = visible;
+        });
+    }
+
+    /**
+     * Get the spacecraft flying at the moment, while missions are shown
+     */
+    getPickableObjects() {
+        return this.spacecraft.filter(spacecraft => spacecraft.visible);
+    }
+
+    /**
+     * Get the paths of the spacecraft flying at the moment, while missions are shown
+     */
+    getPickableOrbits() {
+        return this.paths.filter(path => path.userData.body.visible);
+    }
+
+    /**
+     * Remove the spacecraft and paths and free their GPU resources
+     */
+    dispose() {
+        [...this.spacecraft, ...this.paths].forEach(object => {
+            object.geometry.dispose();
+            object.material.dispose();
+            this.scene.remove(object);
+        });
+
+        this.spacecraft = [];
+        this.paths = [];
+    }
+}
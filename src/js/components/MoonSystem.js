@@ -0,0 +1,218 @@
+import * as THREE from 'three';
+import { OrbitalMechanics } from '../utils/OrbitalMechanics.js';
+import { OrbitLine } from './OrbitLine.js';
+
+/**
+ * Camera distance, in multiples of a moon system's outermost orbit, beyond which
+ * orbit lines are dropped and moons use low-detail geometry
+ */
+const SIMPLIFY_DISTANCE_FACTOR = 6;
+
+/**
+ * Camera distance, in multiples of the outermost orbit, beyond which moons are hidden
+ */
+const HIDE_DISTANCE_FACTOR = 14;
+
+/**
+ * MoonSystem manages natural satellites and their orbits around parent planets
+ */
+export class MoonSystem {
+    constructor(scene, moonData) {
+        this.scene = scene;
+        this.moons = [];
+        this.systems = [];
+        this.showOrbits = true;
+
+        // Shared geometries for the two levels of detail
+        this.highDetailGeometry = new THREE.SphereGeometry(1, 24, 24);
+        this.lowDetailGeometry = new THREE.SphereGeometry(1, 8, 8);
+
+        // Catalog entries of type "moon". Orbital elements are relative to the ecliptic:
+        // semi-major axis in km, angles in degrees, `rates` per Julian century. `distance`
+        // is the on-screen semi-major axis around the parent.
+        this.moonData = moonData;
+    }
+
+    /**
+     * Create moons, grouped by parent planet
+     */
+    create(planets) {
+        planets.forEach(planet => {
+            const moonData = this.moonData.filter(data => data.parent === planet.name);
+            if (moonData.length === 0) return;
+
+            // Planet-centred frame that follows the parent along its orbit
+            const group = new THREE.Group();
+            group.name = `${planet.name} Moons`;
+
+            const orbitGroup = new THREE.Group();
+            group.add(orbitGroup);
+
+            const system = {
+                parent: planet,
+                group,
+                orbitGroup,
+                moons: [],
+                extent: Math.max(...moonData.map(data => data.distance))
+            };
+
+            moonData.forEach(data => {
+                const moon = this.createMoon(data);
+                moon.userData.orbitLine = this.createOrbitLine(moon);
+                system.moons.push(moon);
+                this.moons.push(moon);
+                group.add(moon);
+                orbitGroup.add(moon.userData.orbitLine);
+            });
+
+            this.systems.push(system);
+            this.scene.add(group);
+        });
+    }
+
+    /**
+     * Create a single moon mesh
+     */
+    createMoon(data) {
+        const material = new THREE.MeshPhongMaterial({
+            color: data.color,
+            shininess: 5
+        });
+
+        const moon = new THREE.Mesh(this.highDetailGeometry, material);
+        moon.name = data.name;
+        moon.scale.setScalar(data.radius);
+        moon.castShadow = true;
+        moon.receiveShadow = true;
+        moon.userData = {
+            ...data,
+            isMoon: true,
+            orbitScale: data.distance / data.semiMajorAxis, // km to scene units
+            focusDistance: Math.max(data.distance * 2, 4)
+        };
+
+        return moon;
+    }
+
+    /**
+     * Create an orbit line around the parent planet
+     */
+    createOrbitLine(moon) {
+        const data = moon.userData;
+
+        // Drawn in km and scaled with the moon's orbit
+        const orbit = new OrbitLine(OrbitalMechanics.getOrbitPoints(data, 96), data.color, moon);
+        orbit.scale.setScalar(data.orbitScale);
+        return orbit;
+    }
+
+    /**
+     * Resize moons and their orbits for the current scale mode
+     */
+    applyScale(scaleModel) {
+        this.systems.forEach(system => {
+            const parent = system.parent.userData;
+            system.extent = 0;
+
+            system.moons.forEach(moon => {
+                const userData = moon.userData;
+                const distance = scaleModel.moonDistance(userData, parent);
+                const radius = scaleModel.radius(userData);
+
+                userData.orbitScale = distance / userData.semiMajorAxis;
+                userData.orbitLine.scale.setScalar(userData.orbitScale);
+                userData.sizeScale = radius / userData.radius;
+                moon.scale.setScalar(radius);
+
+                system.extent = Math.max(system.extent, distance);
+            });
+        });
+    }
+
+    /**
+     * Update moon positions for a time in Julian centuries since J2000
+     */
+    update(centuries) {
+        this.systems.forEach(system => {
+            system.group.position.copy(system.parent.position);
+
+            system.moons.forEach(moon => {
+                const userData = moon.userData;
+                const elements = OrbitalMechanics.getElementsAt(userData, centuries);
+
+                OrbitalMechanics.getPosition(elements, THREE.MathUtils.degToRad(elements.meanAnomaly), moon.position);
+                moon.position.multiplyScalar(userData.orbitScale);
+
+                // Tidally locked moons keep the same face turned toward their planet
+                if (userData.tidallyLocked) {
+                    moon.rotation.set(0, Math.atan2(-moon.position.x, -moon.position.z), 0);
+                }
+            });
+        });
+    }
+
+    /**
+     * Hide or simplify moon systems depending on camera distance
+     */
+    updateLevelOfDetail(camera) {
+        this.systems.forEach(system => {
+            const distance = camera.position.distanceTo(system.group.position);
+            const simplified = distance > system.extent * SIMPLIFY_DISTANCE_FACTOR;
+
+            system.group.visible = distance < system.extent * HIDE_DISTANCE_FACTOR;
+            system.orbitGroup.visible = this.showOrbits && !simplified;
+
+            const geometry = simplified ? this.lowDetailGeometry : this.highDetailGeometry;
+            system.moons.forEach(moon => {
+                moon.geometry = geometry;
+            });
+        });
+    }
+
+    /**
+     * Toggle moon orbit lines
+     */
+    setOrbitsVisible(visible) {
+        this.showOrbits = visible;
+    }
+
+    /**
+     * Get moons that can currently be picked with the mouse
+     */
+    getPickableObjects() {
+        return this.systems
+            .filter(system => system.group.visible)
+            .flatMap(system => system.moons);
+    }
+
+    /**
+     * Get the orbit lines of moons that can currently be picked with the mouse
+     */
+    getPickableOrbits() {
+        return this.systems
+            .filter(system => system.group.visible && system.orbitGroup.visible)
+            .flatMap(system => system.moons.map(moon => moon.userData.orbitLine));
+    }
+
+    /**
+     * Dispose of moon resources
+     */
+    dispose() {
+        this.systems.forEach(system => {
+            system.group.traverse(object => {
+                if (object.material) {
+                    object.material.dispose();
+                }
+                if (object.geometry && object.isLineSegments2) {
+                    object.geometry.dispose();
+                }
+            });
+            this.scene.remove(system.group);
+        });
+
+        this.highDetailGeometry.dispose();
+        this.lowDetailGeometry.dispose();
+        this.systems = [];
+        this.moons = [];
+    }
+}
@@ -0,0 +1,110 @@
+import * as THREE from 'three';
+import { Line2 } from 'three/examples/jsm/lines/Line2.js';
+import { LineGeometry } from 'three/examples/jsm/lines/LineGeometry.js';
+import { LineMaterial } from 'three/examples/jsm/lines/LineMaterial.js';
+
+/**
+ * Width in pixels and opacity of an orbit line when idle, hovered and selected
+ */
+const ORBIT_STYLES = {
+    idle: { linewidth: 1.25, opacity: 0.35 },
+    hovered: { linewidth: 2, opacity: 0.75 },
+    selected: { linewidth: 2.5, opacity: 1 }
+};
+
+/**
+ * Lightness below which an orbit is drawn lighter than its body, so dark bodies keep visible orbits
+ */
+const MIN_ORBIT_LIGHTNESS = 0.45;
+
+/**
+ * Distance in pixels from an orbit line within which the mouse picks it
+ */
+export const ORBIT_PICK_THRESHOLD = 6;
+
+/**
+ * OrbitLine draws a body's orbit as a screen-space line in the body's color
+ *
+ * Widths are in pixels, so orbits stay legible at any zoom and scale mode. The line
+ * brightens and thickens while the body or its orbit is hovered, and is drawn solid
+ * while the body is selected. `userData.body` is the body the orbit belongs to.
+ */
+export class OrbitLine extends Line2 {
+    constructor(points, color, body) {
+        super(new LineGeometry(), new LineMaterial({
+            color: OrbitLine.getOrbitColor(color),
+            transparent: true,
+            depthWrite: false
+        }));
+
+        this.name = `${body.name} Orbit`;
+        this.userData.body = body;
+        this.hovered = false;
+        this.selected = false;
+
+        // Line widths are measured against the size of the canvas being drawn
+        this.onBeforeRender = renderer => renderer.getSize(this.material.resolution);
+
+        this.setPoints(points);
+        this.updateStyle();
+    }
+
+    /**
+     * Set the points the line passes through, rewriting the existing buffer when the count is unchanged
+     */
+    setPoints(points) {
+        const segments = this.geometry.attributes.instanceStart?.data;
+
+        if (segments && segments.array.length === (points.length - 1) * 6) {
+            for (let i = 0; i < points.length - 1; i++) {
+                points[i].toArray(segments.array, i * 6);
+                points[i + 1].toArray(segments.array, i * 6 + 3);
+            }
+            segments.needsUpdate = true;
+            this.geometry.computeBoundingBox();
+            this.geometry.computeBoundingSphere();
+        } else {
+            this.geometry.setPositions(points.flatMap(point => [point.x, point.y, point.z]));
+        }
+    }
+
+    /**
+     * Highlight the orbit while the mouse is over it or its body
+     */
+    setHovered(hovered) {
+        this.hovered = hovered;
+        this.updateStyle();
+    }
+
+    /**
+     * Emphasise the orbit while its body is selected
+     */
+    setSelected(selected) {
+        this.selected = selected;
+        this.updateStyle();
+    }
+
+    /**
+     * Apply the width and opacity for the current highlight
+     */
+    updateStyle() {
+        let style = ORBIT_STYLES.idle;
+        if (this.selected) {
+            style = ORBIT_STYLES.selected;
+        } else if (this.hovered) {
+            style = ORBIT_STYLES.hovered;
+        }
+
+        this.material.linewidth = style.linewidth;
+        this.material.opacity = style.opacity;
+    }
+
+    /**
+     * Orbit color for a body color, lightened when the body is too dark to trace its orbit
+     */
+    static getOrbitColor(color) {
+        const orbitColor = new THREE.Color(color);
+        const hsl = orbitColor.getHSL({});
+        return orbitColor.setHSL(hsl.h, hsl.s, Math.max(hsl.l, MIN_ORBIT_LIGHTNESS));
+    }
+}
@@ -0,0 +1,180 @@
+import * as THREE from 'three';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+/**
+ * Texels across the radial density profile of each ring system
+ */
+const PROFILE_WIDTH = 2048;
+
+/**
+ * Opacity above which a ring blocks starlight in the shadow map; fainter parts let it through
+ */
+const SHADOW_OPACITY = 0.35;
+
+/**
+ * RingSystem manages planetary rings built from the catalog `rings` of each planet
+ *
+ * Radii are in multiples of the planet's radius. Each ring system is one flat annulus
+ * in the planet's equatorial plane, textured with a radial profile painted from its
+ * bands (e.g. Saturn's C, B and A rings, or the narrow rings of Uranus) with gaps cut
+ * out (the Encke gap). Rings receive the planet's shadow and cast their own onto it.
+ */
+export class RingSystem {
+    constructor() {
+        this.rings = [];
+    }
+
+    /**
+     * Add rings to every planet whose catalog entry has them
+     */
+    create(planets) {
+        planets
+            .filter(planet => planet.userData.rings)
+            .forEach(planet => {
+                const rings = this.createRings(planet.userData);
+                planet.add(rings);
+                this.rings.push(rings);
+            });
+    }
+
+    /**
+     * Build the ring mesh for one planet, lying in its equatorial plane
+     */
+    createRings(data) {
+        const ringData = data.rings;
+        const innerRadius = data.radius * ringData.innerRadius;
+        const outerRadius = data.radius * ringData.outerRadius;
+
+        const geometry = new THREE.RingGeometry(innerRadius, outerRadius, 256, 1);
+        RingSystem.mapRadially(geometry, innerRadius, outerRadius);
+
+        const texture = RingSystem.createProfileTexture(
+            RingSystem.paintProfile(ringData, ringData.seed ?? 1, PROFILE_WIDTH)
+        );
+
+        const material = new THREE.MeshLambertMaterial({
+            map: texture,
+            side: THREE.DoubleSide,
+            transparent: true,
+            depthWrite: false,
+            alphaTest: 0.01
+        });
+
+        const rings = new THREE.Mesh(geometry, material);
+        rings.name = `${data.name} Rings`;
+        rings.rotation.x = -Math.PI / 2; // The tilt comes from the planet's spin axis
+        rings.receiveShadow = true;
+
+        // The shadow map takes its alpha test from the material, so an invisible copy with a
+        // higher threshold casts the shadow and only the dense parts of the rings block light
+        const shadowCaster = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            map: texture,
+            side: THREE.DoubleSide,
+            alphaTest: SHADOW_OPACITY,
+            colorWrite: false,
+            depthWrite: false
+        }));
+        shadowCaster.castShadow = true;
+        rings.add(shadowCaster);
+
+        return rings;
+    }
+
+    /**
+     * Replace a ring geometry's planar UVs with radial ones: u runs from the inner to the outer edge
+     */
+    static mapRadially(geometry, innerRadius, outerRadius) {
+        const position = geometry.attributes.position;
+        const uv = geometry.attributes.uv;
+        const vertex = new THREE.Vector3();
+
+        for (let i = 0; i < position.count; i++) {
+            vertex.fromBufferAttribute(position, i);
+            uv.setXY(i, (vertex.length() - innerRadius) / (outerRadius - innerRadius), 0.5);
+        }
+    }
+
+    /**
+     * Paint the radial profile of a ring system into RGBA pixels, alpha being the ring's opacity
+     *
+     * Without bands the rings are uniform. Bands set the density (0-1) and color of each
+     * region; where bands overlap the densest wins. Gaps are cleared last, and `striation`
+     * adds seeded ringlet-scale variation to the density.
+     */
+    static paintProfile(ringData, seed, width) {
+        const random = new SeededRandom(seed);
+        const pixels = new Uint8Array(width * 4);
+        const span = ringData.outerRadius - ringData.innerRadius;
+        const baseColor = new THREE.Color(ringData.color);
+        const bands = ringData.bands || [{ innerRadius: ringData.innerRadius, outerRadius: ringData.outerRadius, density: 1 }];
+        const bandColors = bands.map(band => (band.color ? new THREE.Color(band.color) : baseColor));
+        const gaps = ringData.gaps || [];
+
+        // Narrow features keep at least one texel so they survive sampling
+        const minimumWidth = span / width;
+
+        // Ringlets: smoothed random density, a few texels wide
+        const ringlets = new Float32Array(width);
+        let ringlet = random.next();
+        for (let i = 0; i < width; i++) {
+            ringlet += (random.next() - ringlet) * 0.35;
+            ringlets[i] = ringlet;
+        }
+
+        for (let i = 0; i < width; i++) {
+            const radius = ringData.innerRadius + (i + 0.5) / width * span;
+            let density = 0;
+            let color = baseColor;
+
+            bands.forEach((band, index) => {
+                const halfWidth = Math.max(band.outerRadius - band.innerRadius, minimumWidth) / 2;
+                const centre = (band.innerRadius + band.outerRadius) / 2;
+                if (Math.abs(radius - centre) <= halfWidth && band.density > density) {
+                    density = band.density;
+                    color = bandColors[index];
+                }
+            });
+
+            if (gaps.some(gap => Math.abs(radius - gap.radius) <= Math.max(gap.width, minimumWidth) / 2)) {
+                density = 0;
+            }
+
+            const variation = 1 - (ringData.striation ?? 0) * ringlets[i];
+            const alpha = THREE.MathUtils.clamp(density * variation * (ringData.opacity ?? 1), 0, 1);
+
+            pixels[i * 4] = Math.round(color.r * variation * 255);
+            pixels[i * 4 + 1] = Math.round(color.g * variation * 255);
+            pixels[i * 4 + 2] = Math.round(color.b * variation * 255);
+            pixels[i * 4 + 3] = Math.round(alpha * 255);
+        }
+
+        return pixels;
+    }
+
+    /**
+     * Wrap a painted profile as a one-texel-high texture
+     */
+    static createProfileTexture(pixels) {
+        const texture = new THREE.DataTexture(pixels, pixels.length / 4, 1, THREE.RGBAFormat);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        texture.magFilter = THREE.LinearFilter;
+        texture.minFilter = THREE.LinearMipmapLinearFilter;
+        texture.generateMipmaps = true;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    /**
+     * Remove every ring system and free its GPU resources
+     */
+    dispose() {
+        this.rings.forEach(rings => {
+            rings.geometry.dispose();
+            rings.material.map.dispose();
+            rings.material.dispose();
+            rings.children.forEach(child => child.material.dispose());
+            rings.removeFromParent();
+        });
+        this.rings = [];
+    }
+}
@@ -0,0 +1,248 @@
+import * as THREE from 'three';
+import { SkyLineShaderMaterial } from '../shaders/SkyLineShaderMaterial.js';
+import { OrbitalMechanics } from '../utils/OrbitalMechanics.js';
+import { StarCatalog } from '../utils/StarCatalog.js';
+
+/**
+ * Color and opacity of each kind of line on the sky
+ */
+const LINE_STYLES = {
+    constellations: { color: 0x6f8fd0, opacity: 0.55 },
+    grid: { color: 0x46648c, opacity: 0.35 },
+    ecliptic: { color: 0xe0b050, opacity: 0.7 },
+    equator: { color: 0x50c0b8, opacity: 0.7 }
+};
+
+/**
+ * Spacing of the grid's hour circles (hours of right ascension) and parallels (degrees
+ * of declination); hour circles stop short of the poles, where they would all meet
+ */
+const GRID_RA_STEP = 2;
+const GRID_DEC_STEP = 15;
+const GRID_DEC_LIMIT = 75;
+
+/**
+ * Angle in degrees between the points along circles on the sky
+ */
+const CIRCLE_STEP = 2;
+
+/**
+ * Space in CSS pixels kept clear around each constellation name
+ */
+const LABEL_MARGIN = 6;
+
+/**
+ * SkyOverlay draws constellation figures and names, the RA/Dec grid, the ecliptic and
+ * the celestial equator on the sky behind the bodies
+ *
+ * Lines are directions on the celestial sphere, like the background stars, so they
+ * stay put as the camera moves and sit on the same stars. The ecliptic is the plane
+ * of the orbits and the equator is tilted from it by Earth's obliquity. Names are
+ * HTML labels over the canvas at the centre of each figure; each frame they are
+ * placed brightest constellation first, and names that would overlap one already
+ * placed are hidden until there is room.
+ */
+export class SkyOverlay {
+    constructor(scene, labelContainer) {
+        this.scene = scene;
+        this.labelContainer = labelContainer;
+        this.labels = [];
+        this.namesVisible = false;
+        this.labelSizesKnown = false;
+
+        this.layers = {
+            constellations: this.createLines('Constellation Figures', [], LINE_STYLES.constellations),
+            grid: this.createLines('RA/Dec Grid', SkyOverlay.getGridSegments(), LINE_STYLES.grid),
+            ecliptic: this.createLines('Ecliptic', SkyOverlay.getCircleSegments(degrees =>
+                OrbitalMechanics.eclipticToScene(Math.cos(degrees * THREE.MathUtils.DEG2RAD), Math.sin(degrees * THREE.MathUtils.DEG2RAD), 0)
+            ), LINE_STYLES.ecliptic),
+            equator: this.createLines('Celestial Equator', SkyOverlay.getCircleSegments(degrees =>
+                OrbitalMechanics.equatorialToScene(degrees, 0)
+            ), LINE_STYLES.equator)
+        };
+
+        Object.values(this.layers).forEach(lines => {
+            lines.visible = false;
+            this.scene.add(lines);
+        });
+    }
+
+    /**
+     * Draw the constellation figures of a star catalog and add their names
+     */
+    create(catalog) {
+        const segments = [];
+
+        catalog.constellations.forEach(constellation => {
+            const stars = [];
+
+            constellation.lines.forEach(line => {
+                const directions = line.map(name => {
+                    const star = catalog.getStar(name);
+                    stars.push(star);
+                    return StarCatalog.getDirection(star);
+                });
+                for (let i = 1; i < directions.length; i++) {
+                    segments.push(directions[i - 1], directions[i]);
+                }
+            });
+
+            // Names go at the centre of the figure; figures with brighter stars are placed first
+            const direction = stars.reduce((sum, star) => sum.add(StarCatalog.getDirection(star)), new THREE.Vector3()).normalize();
+            const magnitude = Math.min(...stars.map(star => star.mag));
+            this.labels.push(this.createLabel(constellation.name, direction, magnitude));
+        });
+
+        this.labels.sort((a, b) => a.magnitude - b.magnitude);
+        this.layers.constellations.geometry.setFromPoints(segments);
+    }
+
+    /**
+     * Create the line segments of one layer
+     */
+    createLines(name, points, { color, opacity }) {
+        const lines = new THREE.LineSegments(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new SkyLineShaderMaterial({ color, opacity })
+        );
+        lines.name = name;
+        // The directions are around the origin, not around the camera
+        lines.frustumCulled = false;
+        lines.renderOrder = -1;
+        return lines;
+    }
+
+    /**
+     * Create the HTML label for a constellation name
+     */
+    createLabel(name, direction, magnitude) {
+        const element = document.createElement('span');
+        element.className = 'sky-label';
+        element.textContent = name;
+        element.hidden = true;
+        this.labelContainer?.append(element);
+
+        return { element, direction, magnitude, width: 0, height: 0 };
+    }
+
+    /**
+     * Segment end points along a circle on the sky, from a function of the angle in degrees to a direction
+     */
+    static getCircleSegments(getDirection, from = 0, to = 360) {
+        const points = [];
+        const steps = Math.ceil((to - from) / CIRCLE_STEP);
+
+        for (let i = 0; i < steps; i++) {
+            points.push(
+                getDirection(from + (to - from) * i / steps),
+                getDirection(from + (to - from) * (i + 1) / steps)
+            );
+        }
+
+        return points;
+    }
+
+    /**
+     * Segment end points of the hour circles and parallels of the RA/Dec grid
+     */
+    static getGridSegments() {
+        const points = [];
+
+        for (let hours = 0; hours < 24; hours += GRID_RA_STEP) {
+            points.push(...SkyOverlay.getCircleSegments(
+                declination => OrbitalMechanics.equatorialToScene(hours * 15, declination),
+                -GRID_DEC_LIMIT,
+                GRID_DEC_LIMIT
+            ));
+        }
+
+        for (let declination = -GRID_DEC_LIMIT; declination <= GRID_DEC_LIMIT; declination += GRID_DEC_STEP) {
+            points.push(...SkyOverlay.getCircleSegments(
+                rightAscension => OrbitalMechanics.equatorialToScene(rightAscension, declination)
+            ));
+        }
+
+        return points;
+    }
+
+    /**
+     * Show or hide one layer: `constellations`, `grid`, `ecliptic` or `equator`
+     */
+    setVisible(layer, visible) {
+        this.layers[layer].visible = visible;
+    }
+
+    /**
+     * Show or hide the constellation names
+     */
+    setNamesVisible(visible) {
+        this.namesVisible = visible;
+        if (!visible) {
+            this.labels.forEach(label => {
+                label.element.hidden = true;
+            });
+        }
+    }
+
+    /**
+     * Place the constellation names for the camera, leaving out those that would overlap
+     */
+    update(camera, width, height) {
+        if (!this.namesVisible || this.labels.length === 0) return;
+
+        // Labels are measured once, the first time they are shown
+        if (!this.labelSizesKnown) {
+            this.labels.forEach(label => {
+                label.element.hidden = false;
+                label.width = label.element.offsetWidth + LABEL_MARGIN * 2;
+                label.height = label.element.offsetHeight + LABEL_MARGIN * 2;
+            });
+            this.labelSizesKnown = true;
+        }
+
+        const placed = [];
+        const position = new THREE.Vector3();
+
+        this.labels.forEach(label => {
+            position.copy(label.direction).transformDirection(camera.matrixWorldInverse);
+            let visible = position.z < 0;
+
+            if (visible) {
+                position.applyMatrix4(camera.projectionMatrix);
+                const x = (position.x + 1) / 2 * width;
+                const y = (1 - position.y) / 2 * height;
+                const box = {
+                    left: x - label.width / 2,
+                    right: x + label.width / 2,
+                    top: y - label.height / 2,
+                    bottom: y + label.height / 2
+                };
+
+                visible = box.right > 0 && box.left < width && box.bottom > 0 && box.top < height &&
+                    !placed.some(other => box.left < other.right && box.right > other.left &&
+                        box.top < other.bottom && box.bottom > other.top);
+
+                if (visible) {
+                    placed.push(box);
+                    label.element.style.transform = `translate(${x.toFixed(1)}px, ${y.toFixed(1)}px) translate(-50%, -50%)`;
+                }
+            }
+
+            label.element.hidden = !visible;
+        });
+    }
+
+    /**
+     * Remove the lines and names and free their GPU resources
+     */
+    dispose() {
+        Object.values(this.layers).forEach(lines => {
+            lines.geometry.dispose();
+            lines.material.dispose();
+            this.scene.remove(lines);
+        });
+
+        this.labels.forEach(label => label.element.remove());
+        this.labels = [];
+    }
+}
@@ -1,11 +1,65 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { OrbitalMechanics } from '../utils/OrbitalMechanics.js';
+import { SimulationClock, TIME_UNITS } from '../utils/SimulationClock.js';
+import { MoonSystem } from './MoonSystem.js';
+import { BeltSystem } from './BeltSystem.js';
+import { CometSystem } from './CometSystem.js';
+import { RingSystem } from './RingSystem.js';
+import { AtmosphereSystem } from './AtmosphereSystem.js';
+import { SunEffects } from './SunEffects.js';
+import { TrailSystem, DEFAULT_TRAIL_LENGTH } from './TrailSystem.js';
+import { OrbitLine, ORBIT_PICK_THRESHOLD } from './OrbitLine.js';
+import { LagrangeSystem } from './LagrangeSystem.js';
+import { TransferSystem } from './TransferSystem.js';
+import { MissionSystem } from './MissionSystem.js';
+import { StarField } from './StarField.js';
+import { SkyOverlay } from './SkyOverlay.js';
+import { NBodySimulator, GRAVITATIONAL_CONSTANT, SOLAR_MASS_KG } from '../utils/NBodySimulator.js';
+import { BodyCatalog, DEFAULT_CATALOG_URL, ORBITING_TYPES } from '../utils/BodyCatalog.js';
+import { Blackbody } from '../utils/Blackbody.js';
+import { ScaleModel, SCALE_MODES } from '../utils/ScaleModel.js';
+import { TextureGenerator } from '../utils/TextureGenerator.js';
+import { EventPredictor } from '../utils/EventPredictor.js';
+import { AlignmentFinder } from '../utils/AlignmentFinder.js';
+import { TransferPlanner } from '../utils/TransferPlanner.js';
+import { MissionTrajectory } from '../utils/MissionTrajectory.js';
+import { StarCatalog } from '../utils/StarCatalog.js';
+
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Star light intensity for a Sun-like star, and the scene distance of Earth's orbit it was tuned for
+ */
+const SUN_LIGHT_INTENSITY = 3;
+const EARTH_SCENE_DISTANCE = 16;
+
+/**
+ * Camera near plane and zoom limits for the compressed scale; other scale modes
+ * shrink them with the bodies
+ */
+const CAMERA_NEAR = 0.1;
+const MIN_CAMERA_DISTANCE = 10;
+const MAX_CAMERA_DISTANCE = 200;
+
+/**
+ * When an event's target is too close to frame from the observer, the camera backs away
+ * to this multiple of the minimum camera distance, lifted by this angle (radians) so the
+ * observer does not hide the target
+ */
+const EVENT_VIEW_MARGIN = 1.2;
+const EVENT_VIEW_LIFT = THREE.MathUtils.degToRad(35);
+
+/**
+ * Duration of the animated transition between scale modes, in milliseconds
+ */
+const SCALE_TRANSITION_DURATION = 1500;
 
 /**
  * SolarSystem class manages the 3D solar system visualization
  */
 export class SolarSystem {
-    constructor(canvasId) {
+    constructor(canvasId, catalogUrl = DEFAULT_CATALOG_URL) {
         this.canvasId = canvasId;
         this.canvas = null;
         this.scene = null;
@@ -13,51 +67,78 @@ export class SolarSystem {
         this.renderer = null;
         this.controls = null;
         this.clock = new THREE.Clock();
-        this.textureLoader = new THREE.TextureLoader();
+        this.textureGenerator = new TextureGenerator();
         
         // Animation properties
         this.animationId = null;
         this.isPlaying = true;
         this.globalSpeed = 1.0;
         
+        // N-body physics mode (analytic Keplerian orbits when off)
+        this.physicsMode = false;
+        this.nbody = null;
+        this.rogueBodies = [];
+        this.physicsBudgetWarned = false;
+        
         // Solar system objects
-        this.sun = null;
+        this.suns = []; // Star meshes, each carrying its own light
         this.planets = [];
+        this.moonSystem = null;
+        this.beltSystem = null;
+        this.cometSystem = null;
+        this.trailSystem = null;
+        this.lagrangeSystem = null;
+        this.transferSystem = null;
+        this.missionSystem = null;
         this.orbitLines = [];
-        this.stars = null;
+        this.axisLines = [];
+        this.starField = null; // Background stars from the bright-star catalog
+        this.skyOverlay = null; // Constellations and celestial circles drawn over them
         this.labels = [];
         
+        // Bodies under the mouse and last clicked, whose orbits are highlighted
+        this.hoveredBody = null;
+        this.selectedBody = null;
+        
+        // Body the camera travels with, and where it was when the camera last moved
+        this.followedBody = null;
+        this.followPosition = new THREE.Vector3();
+        this.cameraAnimation = null;
+        
         // Visual settings
         this.showOrbits = true;
+        this.showTrails = false;
+        this.trailLength = DEFAULT_TRAIL_LENGTH; // Simulated days over which trails fade
         this.showLabels = true;
         this.showStars = true;
+        this.showConstellations = false;
+        this.showConstellationNames = false;
+        this.showSkyGrid = false;
+        this.showEcliptic = false;
+        this.showCelestialEquator = false;
+        this.showAxes = false;
+        this.showBelts = true;
+        this.showSunEffects = true;
+        this.showMissions = false;
         this.darkMode = false;
         
-        // Planet data with realistic proportions (scaled for visibility)
-        this.planetData = [
-            { name: 'Mercury', radius: 0.4, distance: 8, speed: 4.74, color: 0x8C7853, emissive: 0x2a1f15 },
-            { name: 'Venus', radius: 0.9, distance: 12, speed: 3.50, color: 0xFFC649, emissive: 0x4a3510 },
-            { name: 'Earth', radius: 1.0, distance: 16, speed: 2.98, color: 0x6B93D6, emissive: 0x1a2540 },
-            { name: 'Mars', radius: 0.5, distance: 20, speed: 2.41, color: 0xCD5C5C, emissive: 0x3a1515 },
-            { name: 'Jupiter', radius: 2.5, distance: 28, speed: 1.31, color: 0xD8CA9D, emissive: 0x403a2a },
-            { name: 'Saturn', radius: 2.1, distance: 36, speed: 0.97, color: 0xFAD5A5, emissive: 0x4a3f2a },
-            { name: 'Uranus', radius: 1.6, distance: 44, speed: 0.68, color: 0x4FD0E7, emissive: 0x153a40 },
-            { name: 'Neptune', radius: 1.5, distance: 52, speed: 0.54, color: 0x4B70DD, emissive: 0x151f40 }
-        ];
+        // Mapping of real distances and sizes to the scene (see ScaleModel)
+        this.scaleModel = new ScaleModel();
+        this.scaleTransition = null;
         
-        // Planet info for tooltips
-        this.planetInfo = {
-            'Mercury': 'Closest planet to the Sun. Extremely hot days and cold nights.',
-            'Venus': 'Hottest planet in the solar system due to greenhouse effect.',
-            'Earth': 'Our home planet. The only known planet with life.',
-            'Mars': 'The Red Planet. Has the largest volcano in the solar system.',
-            'Jupiter': 'Largest planet. Has a Great Red Spot storm.',
-            'Saturn': 'Famous for its beautiful ring system.',
-            'Uranus': 'Tilted on its side. Has faint rings.',
-            'Neptune': 'Windiest planet with speeds up to 2,100 km/h.'
-        };
+        // Simulation clock (Julian date) driving all orbital motion
+        this.simulationClock = new SimulationClock();
         
-        this.init();
+        // Bodies come from a JSON catalog (see BodyCatalog) loaded during init
+        this.catalogUrl = catalogUrl;
+        this.catalog = null;
+        this.starData = [];
+        this.planetData = [];
+        this.moonData = [];
+        this.cometData = [];
+        this.beltData = [];
+        this.missions = []; // Spacecraft trajectories the catalog lists (see MissionTrajectory)
+        this.distanceReference = [];
     }
 
     /**
@@ -65,16 +146,20 @@ export class SolarSystem {
      */
     async init() {
         try {
+            const catalog = await BodyCatalog.load(this.catalogUrl);
+            this.applyCatalog(catalog, await MissionTrajectory.loadAll(catalog.missions));
+            const starCatalog = await StarCatalog.load().catch(error => {
+                console.warn('⚠️ Background stars unavailable:', error.message);
+                return null;
+            });
             this.setupCanvas();
             this.setupScene();
             this.setupCamera();
             this.setupRenderer();
             this.setupControls();
             this.setupLights();
-            this.createStars();
-            this.createSun();
-            this.createPlanets();
-            this.createOrbitLines();
+            this.createStars(starCatalog);
+            this.createSystem();
             this.setupEventListeners();
             
             console.log('✅ SolarSystem initialized');
@@ -84,6 +169,127 @@ export class SolarSystem {
         }
     }
 
+    /**
+     * Split a validated catalog into the stars and the data for each kind of body
+     *
+     * Orbital elements are mean elements (semi-major axis in AU for planets, km for
+     * moons; angles in degrees) with `rates` per Julian century. `distance` is the
+     * on-screen semi-major axis the orbit is scaled to. Spin axes are tilted by
+     * `obliquity` toward ecliptic longitude `poleLongitude`; `rotationPeriod` is in hours.
+     * In multiple star systems the stars carry elements for their orbits about the barycentre.
+     * Missions are the catalog's loaded `missions`.
+     */
+    applyCatalog(catalog, missions = []) {
+        this.catalog = catalog;
+        this.missions = missions;
+        this.starData = catalog.stars;
+        this.planetData = catalog.bodies.filter(body => ORBITING_TYPES.includes(body.type));
+        this.moonData = catalog.bodies.filter(body => body.type === 'moon');
+        this.cometData = catalog.bodies.filter(body => body.type === 'comet');
+        this.beltData = catalog.belts || [];
+        
+        // Major planets anchor the AU-to-scene mapping used by belts, comets and rogue masses
+        const planets = this.planetData.filter(body => body.type === 'planet');
+        this.distanceReference = (planets.length > 0 ? planets : this.planetData)
+            .slice()
+            .sort((a, b) => a.semiMajorAxis - b.semiMajorAxis);
+        this.scaleModel.setReference(this.distanceReference);
+    }
+
+    /**
+     * Create the stars and everything orbiting them from the current catalog
+     */
+    createSystem() {
+        this.createSuns();
+        this.createPlanets();
+        this.createRings();
+        this.createAtmospheres();
+        this.createMoons();
+        this.createBelts();
+        this.createComets();
+        this.createOrbitLines();
+        this.createTrails();
+        this.createLagrangePoints();
+        this.createTransfer();
+        this.createMissions();
+        this.applyScale();
+        
+        // New objects follow the current visual settings
+        this.updateVisualSettings({
+            showOrbits: this.showOrbits,
+            showTrails: this.showTrails,
+            showBelts: this.showBelts,
+            showSunEffects: this.showSunEffects,
+            showMissions: this.showMissions
+        });
+        
+        this.atmosphereSystem.checkShaders(this.renderer, this.scene, this.camera);
+    }
+
+    /**
+     * Replace the current system with another catalog, given as a URL, a JSON file or a parsed object
+     *
+     * The new catalog is loaded and validated first, so a bad catalog leaves the
+     * current system untouched. Missions that fail to load are left out.
+     */
+    async loadSystem(source) {
+        let catalog;
+        if (typeof source === 'string') {
+            catalog = await BodyCatalog.load(source);
+        } else if (source instanceof Blob) {
+            catalog = BodyCatalog.parse(await source.text(), source.name);
+        } else {
+            catalog = BodyCatalog.validate(source, source?.name);
+        }
+        const missions = await MissionTrajectory.loadAll(catalog.missions);
+        
+        this.clearSystem();
+        this.applyCatalog(catalog, missions);
+        this.createSystem();
+        this.resetCamera();
+        this.renderIfPaused();
+        
+        console.log(`🌟 Loaded ${catalog.name}`);
+        return catalog;
+    }
+
+    /**
+     * Remove the stars, their bodies and their orbits from the scene and free their GPU resources
+     */
+    clearSystem() {
+        this.physicsMode = false;
+        this.removeRogueBodies();
+        this.nbody = null;
+        
+        this.sunEffects?.dispose();
+        this.ringSystem?.dispose();
+        this.atmosphereSystem?.dispose();
+        this.moonSystem?.dispose();
+        this.beltSystem?.dispose();
+        this.cometSystem?.dispose();
+        this.trailSystem?.dispose();
+        this.lagrangeSystem?.dispose();
+        this.transferSystem?.dispose();
+        this.missionSystem?.dispose();
+        
+        [...this.planets, ...this.orbitLines, ...this.suns].forEach(object => {
+            object.traverse(child => {
+                child.geometry?.dispose();
+                child.material?.dispose();
+                if (child.isLight) child.dispose();
+            });
+            this.scene.remove(object);
+        });
+        
+        this.suns = [];
+        this.planets = [];
+        this.orbitLines = [];
+        this.axisLines = [];
+        this.hoveredBody = null;
+        this.selectedBody = null;
+        this.setFollowedBody(null);
+    }
+
     /**
      * Setup canvas element
      */
@@ -107,7 +313,7 @@ export class SolarSystem {
      */
     setupCamera() {
         const aspect = window.innerWidth / window.innerHeight;
-        this.camera = new THREE.PerspectiveCamera(75, aspect, 0.1, 1000);
+        this.camera = new THREE.PerspectiveCamera(75, aspect, CAMERA_NEAR, 1000);
         this.camera.position.set(0, 30, 60);
         this.camera.lookAt(0, 0, 0);
     }
@@ -116,10 +322,12 @@ export class SolarSystem {
      * Setup WebGL renderer
      */
     setupRenderer() {
+        // A logarithmic depth buffer keeps depth precise from true-scale planets to the starfield
         this.renderer = new THREE.WebGLRenderer({
             canvas: this.canvas,
             antialias: true,
-            alpha: true
+            alpha: true,
+            logarithmicDepthBuffer: true
         });
         
         this.renderer.setSize(window.innerWidth, window.innerHeight);
@@ -137,8 +345,8 @@ export class SolarSystem {
         this.controls = new OrbitControls(this.camera, this.canvas);
         this.controls.enableDamping = true;
         this.controls.dampingFactor = 0.05;
-        this.controls.minDistance = 10;
-        this.controls.maxDistance = 200;
+        this.controls.minDistance = MIN_CAMERA_DISTANCE;
+        this.controls.maxDistance = MAX_CAMERA_DISTANCE;
         this.controls.enablePan = true;
     }
 
@@ -150,15 +358,7 @@ export class SolarSystem {
         const ambientLight = new THREE.AmbientLight(0x404040, 0.4);
         this.scene.add(ambientLight);
         
-        // Sun light (point light at center)
-        const sunLight = new THREE.PointLight(0xffffff, 3, 300);
-        sunLight.position.set(0, 0, 0);
-        sunLight.castShadow = true;
-        sunLight.shadow.mapSize.width = 2048;
-        sunLight.shadow.mapSize.height = 2048;
-        sunLight.shadow.camera.near = 0.1;
-        sunLight.shadow.camera.far = 300;
-        this.scene.add(sunLight);
+        // Each star carries its own point light (see createSun)
         
         // Additional directional light for better planet visibility
         const directionalLight = new THREE.DirectionalLight(0xffffff, 0.5);
@@ -167,57 +367,106 @@ export class SolarSystem {
     }
 
     /**
-     * Create background stars
+     * Create the background stars and the constellations from the bright-star catalog, when it loaded
      */
-    createStars() {
-        const starsGeometry = new THREE.BufferGeometry();
-        const starsMaterial = new THREE.PointsMaterial({
-            color: 0xffffff,
-            size: 1,
-            sizeAttenuation: false
-        });
-
-        const starsVertices = [];
-        for (let i = 0; i < 10000; i++) {
-            const x = (Math.random() - 0.5) * 2000;
-            const y = (Math.random() - 0.5) * 2000;
-            const z = (Math.random() - 0.5) * 2000;
-            starsVertices.push(x, y, z);
+    createStars(starCatalog) {
+        this.starField = new StarField(this.scene, this.renderer.getPixelRatio());
+        this.skyOverlay = new SkyOverlay(this.scene, document.getElementById('sky-labels'));
+        
+        if (starCatalog) {
+            this.starField.create(starCatalog);
+            this.skyOverlay.create(starCatalog);
+            console.log(`✨ ${starCatalog.stars.length} background stars loaded`);
         }
+        
+        this.starField.setVisible(this.showStars);
+    }
 
-        starsGeometry.setAttribute('position', new THREE.Float32BufferAttribute(starsVertices, 3));
-        this.stars = new THREE.Points(starsGeometry, starsMaterial);
-        this.scene.add(this.stars);
+    /**
+     * Create every star in the catalog; the first one is the primary and casts shadows
+     */
+    createSuns() {
+        this.starData.forEach((data, index) => {
+            const sun = this.createSun(data, index === 0);
+            this.suns.push(sun);
+            this.scene.add(sun);
+        });
+        
+        this.sunEffects = new SunEffects();
+        this.sunEffects.create(this.suns);
+        
+        this.updateStarPositions();
     }
 
     /**
-     * Create the Sun
+     * Create a star, colored by its temperature, with its glow and light
      */
-    createSun() {
-        const sunGeometry = new THREE.SphereGeometry(3, 32, 32);
+    createSun(data, castShadow) {
+        const starColor = data.color
+            ? new THREE.Color(data.color)
+            : Blackbody.temperatureToColor(data.temperature);
         
-        // Create a glowing sun material
+        const sunGeometry = new THREE.SphereGeometry(data.radius, 32, 32);
         const sunMaterial = new THREE.MeshBasicMaterial({
-            color: 0xffff00,
-            emissive: 0xffaa00,
-            emissiveIntensity: 0.8
+            color: starColor
         });
         
-        this.sun = new THREE.Mesh(sunGeometry, sunMaterial);
-        this.sun.name = 'Sun';
+        const sun = new THREE.Mesh(sunGeometry, sunMaterial);
+        sun.name = data.name;
+        sun.userData = {
+            ...data,
+            isStar: true,
+            starColor,
+            focusDistance: 20,
+            // Only stars of a multiple system orbit the barycentre
+            orbitScale: data.semiMajorAxis ? data.distance / data.semiMajorAxis : 0,
+            meanMotion: OrbitalMechanics.getMeanMotion(data), // Radians per day
+            axisTilt: OrbitalMechanics.getAxisQuaternion(data.obliquity, data.poleLongitude)
+        };
+        this.updateBodyRotation(sun);
         
-        // Add sun glow effect
-        const glowGeometry = new THREE.SphereGeometry(3.5, 32, 32);
+        // Add a glow, warmer than the surface
+        const glowGeometry = new THREE.SphereGeometry(data.radius * 1.17, 32, 32);
         const glowMaterial = new THREE.MeshBasicMaterial({
-            color: 0xffaa00,
+            color: starColor.clone().multiply(new THREE.Color(1, 0.75, 0.45)),
             transparent: true,
             opacity: 0.3,
             side: THREE.BackSide
         });
         const sunGlow = new THREE.Mesh(glowGeometry, glowMaterial);
-        this.sun.add(sunGlow);
+        sun.userData.glow = sunGlow; // Replaced by the corona when sun effects are on
+        sun.add(sunGlow);
         
-        this.scene.add(this.sun);
+        // Point light at the star's centre; it moves with the star
+        const light = new THREE.PointLight(0xffffff, SUN_LIGHT_INTENSITY, 300);
+        if (castShadow) {
+            light.castShadow = true;
+            light.shadow.mapSize.width = 2048;
+            light.shadow.mapSize.height = 2048;
+            light.shadow.camera.near = 0.1;
+            light.shadow.camera.far = 300;
+            light.shadow.normalBias = 0.05; // Keeps rings, lit at grazing angles, from shadowing themselves
+        }
+        sun.userData.light = light;
+        sun.add(light);
+        
+        this.updateStarLight(sun);
+        return sun;
+    }
+
+    /**
+     * Color a star's light and set its brightness from the star's luminosity
+     *
+     * Catalogs map AU to scene units differently, so the intensity is scaled to keep
+     * the light reaching 1 AU proportional to luminosity, as it is for the Sun and Earth.
+     * The result is clamped so very dim or brilliant stars still light their planets readably.
+     */
+    updateStarLight(sun) {
+        const unitsPerAU = this.getSceneDistance(1) / EARTH_SCENE_DISTANCE;
+        const intensity = SUN_LIGHT_INTENSITY * sun.userData.luminosity * unitsPerAU * unitsPerAU;
+        
+        sun.userData.light.color.copy(sun.userData.starColor);
+        sun.userData.light.intensity = THREE.MathUtils.clamp(intensity, 0.5, 30);
     }
 
     /**
@@ -228,108 +477,248 @@ export class SolarSystem {
             const planet = this.createPlanet(data);
             planet.userData = {
                 ...data,
-                angle: Math.random() * Math.PI * 2, // Random starting position
-                speed: data.speed * 0.01, // Scale down speed
-                individualSpeed: 1.0 // Individual speed multiplier
+                meanMotion: OrbitalMechanics.getMeanMotion(data), // Radians per day
+                phaseOffset: 0, // Mean anomaly drift from individual speed changes
+                individualSpeed: 1.0, // Individual speed multiplier
+                orbitScale: data.distance / data.semiMajorAxis, // AU to scene units
+                host: this.getHostStar(data), // Star the orbit is centred on, or null for the barycentre
+                axisTilt: OrbitalMechanics.getAxisQuaternion(data.obliquity, data.poleLongitude)
             };
             
+            this.updatePlanetPosition(planet);
+            this.updateBodyRotation(planet);
             this.planets.push(planet);
             this.scene.add(planet);
         });
     }
 
+    /**
+     * Create the ring systems of planets that have them in the catalog
+     */
+    createRings() {
+        this.ringSystem = new RingSystem();
+        this.ringSystem.create(this.planets);
+    }
+
+    /**
+     * Create the atmospheres of planets that have them in the catalog
+     */
+    createAtmospheres() {
+        this.atmosphereSystem = new AtmosphereSystem();
+        this.atmosphereSystem.create(this.planets);
+    }
+
+    /**
+     * Create natural satellites around their parent planets
+     */
+    createMoons() {
+        this.moonSystem = new MoonSystem(this.scene, this.moonData);
+        this.moonSystem.create(this.planets);
+        this.moonSystem.update(this.simulationClock.getCenturiesSinceJ2000());
+    }
+
+    /**
+     * Create the main asteroid belt and the Kuiper belt
+     */
+    createBelts() {
+        this.beltSystem = new BeltSystem(
+            this.scene,
+            (distanceAU) => this.getSceneDistance(distanceAU),
+            this.beltData,
+            this.getStarMass()
+        );
+        this.beltSystem.create();
+        this.beltSystem.update(this.simulationClock.julianDate);
+    }
+
+    /**
+     * Create comets with their tails and orbit lines
+     */
+    createComets() {
+        this.cometSystem = new CometSystem(
+            this.scene,
+            (distanceAU) => this.getSceneDistance(distanceAU),
+            this.cometData,
+            this.getStarMass()
+        );
+        this.cometSystem.create();
+        this.cometSystem.update(this.simulationClock.julianDate);
+        this.orbitLines.push(...this.cometSystem.orbitLines);
+    }
+
     /**
      * Create a single planet with realistic materials
      */
     createPlanet(data) {
         const geometry = new THREE.SphereGeometry(data.radius, 32, 32);
         
-        // Create realistic planet material
+        // Catalog `material` entries override the default surface (e.g. glossy oceans on Earth)
         const material = new THREE.MeshPhongMaterial({
             color: data.color,
             emissive: data.emissive,
             emissiveIntensity: 0.1,
-            shininess: data.name === 'Venus' ? 100 : 30,
-            specular: data.name === 'Earth' ? 0x111111 : 0x000000
+            shininess: 30,
+            specular: 0x000000,
+            ...data.material
         });
         
-        // Add special effects for specific planets
-        if (data.name === 'Earth') {
-            // Earth gets a slight blue glow and higher specular for oceans
-            material.specular = new THREE.Color(0x004466);
-            material.shininess = 100;
-        } else if (data.name === 'Jupiter') {
-            // Jupiter gets bands (simulated with emissive variation)
-            material.emissiveIntensity = 0.15;
-        } else if (data.name === 'Saturn') {
-            // Saturn will get rings added separately
-            material.emissiveIntensity = 0.12;
-        }
-        
         const planet = new THREE.Mesh(geometry, material);
         planet.name = data.name;
         planet.castShadow = true;
         planet.receiveShadow = true;
         
-        // Add Saturn's rings
-        if (data.name === 'Saturn') {
-            this.addSaturnRings(planet, data.radius);
+        if (data.texture) {
+            this.applyTexture(planet, data);
         }
         
-        // Position planet at its orbital distance
-        planet.position.x = data.distance;
-        planet.position.y = 0;
-        planet.position.z = 0;
+        planet.add(this.createAxisLine(data.radius));
         
         return planet;
     }
 
     /**
-     * Add rings to Saturn
+     * Paint a body's procedural surface onto its material, adding a cloud layer when the texture asks for one
+     */
+    applyTexture(planet, data) {
+        const { map, clouds } = this.textureGenerator.getTextures(data.name, data.texture, data.color);
+        
+        // The map carries the colors, so the base color must not tint it
+        planet.material.map = map;
+        planet.material.color.set(0xffffff);
+        planet.material.needsUpdate = true;
+        
+        let cloudLayer = planet.getObjectByName('Clouds');
+        if (clouds && !cloudLayer) {
+            cloudLayer = new THREE.Mesh(
+                new THREE.SphereGeometry(data.radius * 1.02, 32, 32),
+                new THREE.MeshPhongMaterial({ transparent: true, depthWrite: false, shininess: 0 })
+            );
+            cloudLayer.name = 'Clouds';
+            cloudLayer.receiveShadow = true;
+            planet.add(cloudLayer);
+        }
+        
+        if (cloudLayer) {
+            cloudLayer.material.map = clouds;
+            cloudLayer.material.needsUpdate = true;
+        }
+    }
+
+    /**
+     * Regenerate planet textures at another resolution (low, medium or high)
+     */
+    setTextureQuality(quality) {
+        const startTime = performance.now();
+        this.textureGenerator.setQuality(quality);
+        
+        const textured = this.planets.filter(planet => planet.userData.texture);
+        textured.forEach(planet => this.applyTexture(planet, planet.userData));
+        
+        console.log(`🎨 ${textured.length} planet textures at ${quality} quality in ${Math.round(performance.now() - startTime)} ms`);
+        this.renderIfPaused();
+    }
+
+    /**
+     * Create a line along a body's rotation axis (hidden by default)
      */
-    addSaturnRings(planet, planetRadius) {
-        const ringGeometry = new THREE.RingGeometry(planetRadius * 1.2, planetRadius * 2.2, 64);
-        const ringMaterial = new THREE.MeshBasicMaterial({
-            color: 0xaaaaaa,
-            side: THREE.DoubleSide,
+    createAxisLine(radius) {
+        const points = [
+            new THREE.Vector3(0, -radius * 1.6, 0),
+            new THREE.Vector3(0, radius * 1.6, 0)
+        ];
+        
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        const material = new THREE.LineBasicMaterial({
+            color: 0x88ccff,
             transparent: true,
-            opacity: 0.6
+            opacity: 0.8
         });
         
-        const rings = new THREE.Mesh(ringGeometry, ringMaterial);
-        rings.rotation.x = Math.PI / 2;
-        rings.rotation.z = Math.PI / 6; // Slight tilt
-        planet.add(rings);
+        const axisLine = new THREE.Line(geometry, material);
+        axisLine.name = 'Rotation Axis';
+        axisLine.visible = this.showAxes;
+        this.axisLines.push(axisLine);
+        return axisLine;
     }
 
     /**
-     * Create orbit lines
+     * Create orbit lines, in each body's color, for planets and for stars orbiting a barycentre
      */
     createOrbitLines() {
-        this.planetData.forEach(data => {
-            const points = [];
-            const segments = 128;
-            
-            for (let i = 0; i <= segments; i++) {
-                const angle = (i / segments) * Math.PI * 2;
-                points.push(new THREE.Vector3(
-                    Math.cos(angle) * data.distance,
-                    0,
-                    Math.sin(angle) * data.distance
-                ));
-            }
+        const orbitingSuns = this.suns.filter(sun => sun.userData.orbitScale);
+        
+        [...orbitingSuns, ...this.planets].forEach(body => {
+            const points = OrbitalMechanics.getOrbitPoints(body.userData, 256);
             
-            const orbitGeometry = new THREE.BufferGeometry().setFromPoints(points);
-            const orbitMaterial = new THREE.LineBasicMaterial({
-                color: 0x444444,
-                transparent: true,
-                opacity: 0.3
-            });
+            // Drawn in AU and scaled with the body's orbit (see applyScale)
+            const orbit = new OrbitLine(points, body.userData.starColor ?? body.userData.color, body);
+            orbit.scale.setScalar(body.userData.orbitScale);
             
-            const orbit = new THREE.Line(orbitGeometry, orbitMaterial);
+            // Orbits around one star of a multiple system follow that star
+            orbit.userData.host = body.userData.host || null;
+            body.userData.orbitLine = orbit;
             this.orbitLines.push(orbit);
             this.scene.add(orbit);
         });
+        
+        this.updateOrbitLineHosts();
+    }
+
+    /**
+     * Create motion trails behind the bodies that have orbit lines
+     */
+    createTrails() {
+        this.trailSystem = new TrailSystem(this.scene);
+        this.trailSystem.setLength(this.trailLength);
+        this.trailSystem.create([
+            ...this.suns.filter(sun => sun.userData.orbitScale),
+            ...this.planets,
+            ...this.cometSystem.comets
+        ]);
+    }
+
+    /**
+     * Create the (initially hidden) Lagrange point markers and Hill sphere
+     */
+    createLagrangePoints() {
+        this.lagrangeSystem = new LagrangeSystem(this.scene);
+    }
+
+    /**
+     * Create the (initially hidden) transfer path and spacecraft
+     */
+    createTransfer() {
+        this.transferSystem = new TransferSystem(this.scene);
+    }
+
+    /**
+     * Create the (initially hidden) spacecraft and paths of the catalog's missions
+     */
+    createMissions() {
+        this.missionSystem = new MissionSystem(
+            this.scene,
+            (distanceAU) => this.getSceneDistance(distanceAU),
+            this.planets
+        );
+        this.missionSystem.create(this.missions);
+    }
+
+    /**
+     * Find the star a body names as its `host`, or null when it orbits the barycentre
+     */
+    getHostStar(data) {
+        return this.suns.find(sun => sun.name === data.host) || null;
+    }
+
+    /**
+     * Keep orbit lines around individual stars centred on their moving host
+     */
+    updateOrbitLineHosts() {
+        this.orbitLines.forEach(orbit => {
+            if (orbit.userData.host) {
+                orbit.position.copy(orbit.userData.host.position);
+            }
+        });
     }
 
     /**
@@ -348,9 +737,36 @@ export class SolarSystem {
     }
 
     /**
-     * Handle planet click for camera focus
+     * Get all bodies that respond to clicks and tooltips
      */
-    handlePlanetClick(event) {
+    getPickableObjects() {
+        return [
+            ...this.planets,
+            ...this.moonSystem.getPickableObjects(),
+            ...this.cometSystem.comets,
+            ...this.rogueBodies,
+            ...this.suns,
+            ...this.transferSystem.getPickableObjects(),
+            ...this.missionSystem.getPickableObjects()
+        ];
+    }
+
+    /**
+     * Get the orbit lines that respond to clicks and tooltips
+     */
+    getPickableOrbits() {
+        return [
+            ...this.orbitLines.filter(orbit => orbit.visible),
+            ...this.moonSystem.getPickableOrbits(),
+            ...this.transferSystem.getPickableOrbits(),
+            ...this.missionSystem.getPickableOrbits()
+        ];
+    }
+
+    /**
+     * Find the body under the mouse, or the body whose orbit line is under it
+     */
+    pickBody(event) {
         const mouse = new THREE.Vector2();
         const rect = this.canvas.getBoundingClientRect();
         
@@ -359,35 +775,39 @@ export class SolarSystem {
         
         const raycaster = new THREE.Raycaster();
         raycaster.setFromCamera(mouse, this.camera);
+        raycaster.params.Line2 = { threshold: ORBIT_PICK_THRESHOLD };
+        
+        const bodies = raycaster.intersectObjects([...this.getPickableObjects(), ...this.lagrangeSystem.getPickableObjects()], false);
+        if (bodies.length > 0) {
+            return bodies[0].object;
+        }
         
-        const intersects = raycaster.intersectObjects([...this.planets, this.sun]);
+        // Orbits pass in front of and behind bodies, so they only count when no body is under the mouse
+        const orbits = raycaster.intersectObjects(this.getPickableOrbits(), false);
+        return orbits.length > 0 ? orbits[0].object.userData.body : null;
+    }
+
+    /**
+     * Handle planet or orbit click for camera focus
+     */
+    handlePlanetClick(event) {
+        const clickedObject = this.pickBody(event);
         
-        if (intersects.length > 0) {
-            const clickedObject = intersects[0].object;
+        if (clickedObject) {
             this.focusOnObject(clickedObject);
         }
     }
 
     /**
-     * Handle mouse move for tooltips
+     * Handle mouse move for orbit highlighting and tooltips
      */
     handleMouseMove(event) {
-        if (!this.showLabels) return;
+        const hoveredObject = this.pickBody(event);
+        this.setHoveredBody(hoveredObject);
         
-        const mouse = new THREE.Vector2();
-        const rect = this.canvas.getBoundingClientRect();
-        
-        mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-        mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-        
-        const raycaster = new THREE.Raycaster();
-        raycaster.setFromCamera(mouse, this.camera);
-        
-        const intersects = raycaster.intersectObjects([...this.planets, this.sun]);
         const tooltip = document.getElementById('planet-tooltip');
         
-        if (intersects.length > 0 && tooltip) {
-            const hoveredObject = intersects[0].object;
+        if (hoveredObject && tooltip && this.showLabels) {
             const name = hoveredObject.name;
             
             tooltip.style.display = 'block';
@@ -395,19 +815,54 @@ export class SolarSystem {
             tooltip.style.top = event.clientY - 10 + 'px';
             
             document.getElementById('tooltip-name').textContent = name;
-            document.getElementById('tooltip-info').textContent = 
-                this.planetInfo[name] || 'Our central star that provides light and heat.';
+            document.getElementById('tooltip-info').textContent = this.getBodyInfo(hoveredObject);
         } else if (tooltip) {
             tooltip.style.display = 'none';
         }
     }
 
     /**
-     * Focus camera on a specific object
+     * Highlight the orbit of the body under the mouse, if it has one
+     */
+    setHoveredBody(body) {
+        if (body === this.hoveredBody) return;
+        
+        this.hoveredBody?.userData.orbitLine?.setHovered(false);
+        this.hoveredBody = body;
+        this.hoveredBody?.userData.orbitLine?.setHovered(true);
+        this.renderIfPaused();
+    }
+
+    /**
+     * Emphasise the orbit of the selected body, if it has one; null clears the selection
+     */
+    setSelectedBody(body) {
+        if (body === this.selectedBody) return;
+        
+        this.selectedBody?.userData.orbitLine?.setSelected(false);
+        this.selectedBody = body;
+        this.selectedBody?.userData.orbitLine?.setSelected(true);
+        this.renderIfPaused();
+    }
+
+    /**
+     * Get tooltip text for a body from its catalog entry
+     */
+    getBodyInfo(object) {
+        return object.userData.info || '';
+    }
+
+    /**
+     * Focus the camera on an object and travel with it from then on
      */
     focusOnObject(object) {
-        const position = object.position.clone();
-        const distance = object.userData?.distance || 20;
+        this.setSelectedBody(object);
+        this.setFollowedBody(object);
+        
+        const position = object.getWorldPosition(new THREE.Vector3());
+        
+        // Focus distances suit the compressed sizes; keep the same framing in other scale modes
+        const distance = (object.userData?.focusDistance || object.userData?.distance || 20) * (object.userData?.sizeScale ?? 1);
         
         // Calculate camera position
         const cameraPosition = position.clone();
@@ -415,8 +870,50 @@ export class SolarSystem {
         cameraPosition.y += distance * 0.3;
         
         // Animate camera to new position
+        this.animateCamera(cameraPosition, position, () => {
+            this.controls.target.copy(position);
+            this.controls.update();
+            this.renderIfPaused();
+        });
+    }
+
+    /**
+     * Keep the camera travelling with a body, or stop following when null
+     */
+    setFollowedBody(body) {
+        this.followedBody = body;
+        body?.getWorldPosition(this.followPosition);
+    }
+
+    /**
+     * Move the camera, its target and any camera animation by as far as the followed body moved
+     */
+    updateFollow() {
+        if (!this.followedBody) return;
+        
+        const position = this.followedBody.getWorldPosition(new THREE.Vector3());
+        const offset = position.clone().sub(this.followPosition);
+        this.followPosition.copy(position);
+        
+        this.camera.position.add(offset);
+        this.controls.target.add(offset);
+        
+        if (this.cameraAnimation) {
+            const { startPosition, cameraPosition, lookAt } = this.cameraAnimation;
+            [startPosition, cameraPosition, lookAt].forEach(point => point.add(offset));
+        }
+    }
+
+    /**
+     * Move the camera smoothly to a position over one second, looking at a point throughout
+     */
+    animateCamera(cameraPosition, lookAt, onComplete = null) {
         const startPosition = this.camera.position.clone();
         const startTime = Date.now();
+        
+        // A followed body carries the animation along with it (see updateFollow)
+        const animation = { startPosition, cameraPosition, lookAt };
+        this.cameraAnimation = animation;
         const duration = 1000; // 1 second
         
         const animateCamera = () => {
@@ -427,16 +924,60 @@ export class SolarSystem {
             const eased = 1 - Math.pow(1 - progress, 3);
             
             this.camera.position.lerpVectors(startPosition, cameraPosition, eased);
-            this.camera.lookAt(position);
+            this.camera.lookAt(lookAt);
+            this.renderIfPaused();
             
             if (progress < 1) {
                 requestAnimationFrame(animateCamera);
+                return;
+            }
+            
+            if (this.cameraAnimation === animation) {
+                this.cameraAnimation = null;
             }
+            onComplete?.();
         };
         
         animateCamera();
     }
 
+    /**
+     * Look from an event's observer towards its target (see EventPredictor and AlignmentFinder)
+     *
+     * The camera sits just outside the observer on the side facing the target, so an
+     * eclipsing moon or transiting planet lines up in front of it. Directions to the
+     * stars and the observer's own moons are kept by every scale mode; alignments with
+     * other planets are only exact in true scale.
+     */
+    viewEvent(event) {
+        const bodies = [...this.suns, ...this.planets, ...this.moonSystem.moons];
+        const observer = bodies.find(body => body.name === event.observer);
+        const target = bodies.find(body => body.name === event.target);
+        if (!observer || !target) return;
+        
+        this.setFollowedBody(null);
+        const focus = target.getWorldPosition(new THREE.Vector3());
+        const eye = observer.getWorldPosition(new THREE.Vector3());
+        const observerRadius = observer.geometry.parameters.radius * observer.scale.x;
+        eye.addScaledVector(focus.clone().sub(eye).normalize(), observerRadius * 1.5);
+        
+        if (eye.distanceTo(focus) < this.controls.minDistance) {
+            const away = eye.clone().sub(focus).normalize();
+            const axis = new THREE.Vector3().crossVectors(away, Y_AXIS);
+            if (axis.lengthSq() < 1e-6) {
+                axis.set(1, 0, 0);
+            }
+            away.applyAxisAngle(axis.normalize(), EVENT_VIEW_LIFT);
+            eye.copy(focus).addScaledVector(away, this.controls.minDistance * EVENT_VIEW_MARGIN);
+        }
+        
+        this.animateCamera(eye, focus, () => {
+            this.controls.target.copy(focus);
+            this.controls.update();
+            this.renderIfPaused();
+        });
+    }
+
     /**
      * Animation loop
      */
@@ -448,6 +989,8 @@ export class SolarSystem {
         const deltaTime = this.clock.getDelta();
         
         this.updatePlanets(deltaTime);
+        this.moonSystem.updateLevelOfDetail(this.camera);
+        this.cometSystem.updateTime(this.clock.elapsedTime);
         this.updateControls();
         this.render();
     }
@@ -456,24 +999,394 @@ export class SolarSystem {
      * Update planet positions
      */
     updatePlanets(deltaTime) {
+        const deltaDays = this.simulationClock.tick(deltaTime * this.globalSpeed);
+        
+        this.advanceBodies(deltaDays);
+    }
+
+    /**
+     * Move and spin bodies after the clock advanced by a number of days
+     */
+    advanceBodies(deltaDays) {
+        if (this.physicsMode) {
+            const leftoverDays = this.nbody.step(deltaDays);
+            
+            // More substeps than fit in a frame: the clock waits for the integration instead
+            if (leftoverDays !== 0) {
+                this.simulationClock.step(-leftoverDays);
+                if (!this.physicsBudgetWarned) {
+                    console.warn('⚠️ N-body integration cannot keep up with the time scale; slowing the clock');
+                    this.physicsBudgetWarned = true;
+                }
+            }
+            this.updatePhysicsPositions();
+        } else {
+            this.updateStarPositions();
+        }
+        
         this.planets.forEach(planet => {
             const userData = planet.userData;
             
-            // Update angle based on speed
-            userData.angle += userData.speed * userData.individualSpeed * this.globalSpeed * deltaTime;
+            if (!this.physicsMode) {
+                // Individual speed multipliers run a planet ahead of or behind its ephemeris
+                userData.phaseOffset += (userData.individualSpeed - 1) * userData.meanMotion * deltaDays;
+                
+                this.updatePlanetPosition(planet);
+            }
             
-            // Update position
-            planet.position.x = Math.cos(userData.angle) * userData.distance;
-            planet.position.z = Math.sin(userData.angle) * userData.distance;
+            this.updateBodyRotation(planet);
+        });
+        
+        this.suns.forEach(sun => this.updateBodyRotation(sun));
+        this.updateOrbitLineHosts();
+        
+        this.moonSystem.update(this.simulationClock.getCenturiesSinceJ2000());
+        this.beltSystem.update(this.simulationClock.julianDate);
+        this.cometSystem.update(this.simulationClock.julianDate);
+        this.trailSystem.update(this.simulationClock.julianDate);
+        this.lagrangeSystem.update(this.simulationClock.getCenturiesSinceJ2000());
+        this.transferSystem.update(this.simulationClock.julianDate);
+        this.missionSystem.update(this.simulationClock.julianDate);
+        this.updateFollow();
+    }
+
+    /**
+     * Switch between analytic Keplerian orbits and N-body gravitation
+     */
+    setPhysicsMode(enabled) {
+        if (enabled === this.physicsMode) return;
+        
+        if (enabled) {
+            this.seedPhysics();
+            this.physicsMode = true;
+        } else {
+            this.physicsMode = false;
+            this.removeRogueBodies();
+            this.nbody = null;
+        }
+        
+        // Bodies leave their integrated paths for the ephemeris
+        this.trailSystem.reset();
+        this.advanceBodies(0);
+        this.renderIfPaused();
+        
+        console.log(`🪐 ${enabled ? 'N-body gravity' : 'Keplerian orbits'} enabled`);
+    }
+
+    /**
+     * Start the N-body simulation from the analytic state at the current date
+     *
+     * Stars of a multiple system start on their barycentric orbits; planets start
+     * relative to their host star, or to the barycentre of all stars when they have none.
+     */
+    seedPhysics() {
+        const centuries = this.simulationClock.getCenturiesSinceJ2000();
+        
+        // Resolve the shortest orbit with at least 100 substeps (tight systems like TRAPPIST-1)
+        const periods = [...this.suns, ...this.planets]
+            .filter(body => body.userData.meanMotion)
+            .map(body => 2 * Math.PI / body.userData.meanMotion);
+        const shortestPeriod = Math.min(...periods);
+        
+        this.removeRogueBodies();
+        this.nbody = new NBodySimulator({ timeStep: Math.min(0.25, shortestPeriod / 100) });
+        
+        this.suns.forEach(sun => {
+            const userData = sun.userData;
+            const position = new THREE.Vector3();
+            const velocity = new THREE.Vector3();
+            
+            if (userData.orbitScale) {
+                const elements = OrbitalMechanics.getElementsAt(userData, centuries);
+                const meanAnomaly = THREE.MathUtils.degToRad(elements.meanAnomaly);
+                OrbitalMechanics.getPosition(elements, meanAnomaly, position);
+                OrbitalMechanics.getVelocity(elements, meanAnomaly, userData.meanMotion, velocity);
+            }
             
-            // Rotate planet on its axis
-            planet.rotation.y += deltaTime * 2;
+            this.nbody.addBody({ name: sun.name, mass: userData.mass / SOLAR_MASS_KG, position, velocity });
+        });
+        
+        this.planets.forEach(planet => {
+            const userData = planet.userData;
+            const mass = this.getPlanetSystemMass(planet) / SOLAR_MASS_KG;
+            const elements = OrbitalMechanics.getElementsAt(userData, centuries);
+            const meanAnomaly = THREE.MathUtils.degToRad(elements.meanAnomaly) + userData.phaseOffset;
+            const centralMass = userData.host ? userData.host.userData.mass / SOLAR_MASS_KG : this.getStarMass();
+            const centre = this.getPhysicsCentre(userData.host);
+            
+            // Two-body mean motion keeps the seeded orbit consistent with the integrator's gravity
+            const meanMotion = Math.sqrt(GRAVITATIONAL_CONSTANT * (centralMass + mass) / Math.pow(elements.semiMajorAxis, 3));
+            
+            this.nbody.addBody({
+                name: planet.name,
+                mass,
+                position: OrbitalMechanics.getPosition(elements, meanAnomaly).add(centre.position),
+                velocity: OrbitalMechanics.getVelocity(elements, meanAnomaly, meanMotion).add(centre.velocity)
+            });
         });
         
-        // Rotate sun
-        if (this.sun) {
-            this.sun.rotation.y += deltaTime * 0.5;
+        this.nbody.moveToBarycentre();
+        this.nbody.resetEnergyBaseline();
+    }
+
+    /**
+     * Integrated state that scene positions are measured from: a host star, the only
+     * star of a single star system, or the barycentre of a multiple system
+     */
+    getPhysicsCentre(host = null) {
+        if (host) {
+            return this.nbody.getBody(host.name);
+        }
+        
+        if (this.suns.length === 1) {
+            return this.nbody.getBody(this.suns[0].name);
+        }
+        
+        return { position: new THREE.Vector3(), velocity: new THREE.Vector3() };
+    }
+
+    /**
+     * Copy integrated positions to the scene, relative to each body's centre
+     *
+     * AU-to-scene scales differ between stars and planets, so a planet's offset from
+     * its host star is scaled on its own and added to the host's scene position.
+     */
+    updatePhysicsPositions() {
+        const barycentre = this.getPhysicsCentre();
+        
+        this.suns.forEach(sun => {
+            const body = this.nbody.getBody(sun.name);
+            sun.position.subVectors(body.position, barycentre.position).multiplyScalar(sun.userData.orbitScale);
+        });
+        
+        this.planets.forEach(planet => {
+            const { host, orbitScale } = planet.userData;
+            const body = this.nbody.getBody(planet.name);
+            
+            planet.position.subVectors(body.position, this.getPhysicsCentre(host).position).multiplyScalar(orbitScale);
+            if (host) {
+                planet.position.add(host.position);
+            }
+        });
+        
+        this.rogueBodies.forEach(rogue => {
+            const body = this.nbody.getBody(rogue.name);
+            rogue.position.subVectors(body.position, barycentre.position);
+            rogue.position.setLength(this.getSceneDistance(rogue.position.length()));
+        });
+    }
+
+    /**
+     * Add a free-flying mass (in solar masses) that falls through the inner solar system
+     */
+    addRogueMass(mass) {
+        if (!this.physicsMode) {
+            this.setPhysicsMode(true);
         }
+        
+        // Start well outside the giant planets on a hyperbolic path passing about 3 AU from the Sun
+        const startDistance = 15;
+        const periapsis = 3;
+        const longitude = Math.random() * Math.PI * 2;
+        const direction = new THREE.Vector3(Math.cos(longitude), 0, -Math.sin(longitude));
+        const position = direction.clone().multiplyScalar(startDistance);
+        
+        const escapeSpeed = Math.sqrt(2 * GRAVITATIONAL_CONSTANT * (this.getStarMass() + mass) / startDistance);
+        const speed = escapeSpeed * 1.2;
+        const tangent = new THREE.Vector3(-direction.z, 0, direction.x);
+        const velocity = direction.clone().multiplyScalar(-Math.sqrt(1 - Math.pow(periapsis / startDistance, 2)) * speed)
+            .addScaledVector(tangent, (periapsis / startDistance) * speed);
+        
+        const name = `Rogue Mass ${this.rogueBodies.length + 1}`;
+        const centre = this.getPhysicsCentre();
+        
+        this.nbody.addBody({
+            name,
+            mass,
+            position: position.add(centre.position),
+            velocity: velocity.add(centre.velocity)
+        });
+        this.nbody.resetEnergyBaseline();
+        
+        const rogue = new THREE.Mesh(
+            new THREE.SphereGeometry(THREE.MathUtils.clamp(0.6 + Math.log10(mass * 1000 + 1), 0.6, 3), 24, 24),
+            new THREE.MeshBasicMaterial({ color: 0xff5533 })
+        );
+        rogue.name = name;
+        rogue.userData = {
+            info: `A rogue body of ${(mass * 1047.6).toFixed(1)} Jupiter masses passing through the solar system.`,
+            focusDistance: 20
+        };
+        
+        this.rogueBodies.push(rogue);
+        this.scene.add(rogue);
+        this.trailSystem.add(rogue);
+        this.updatePhysicsPositions();
+        this.renderIfPaused();
+        
+        return rogue;
+    }
+
+    /**
+     * Remove all rogue masses from the scene and the simulation
+     */
+    removeRogueBodies() {
+        this.rogueBodies.forEach(rogue => {
+            this.nbody?.removeBody(rogue.name);
+            this.trailSystem?.remove(rogue);
+            this.scene.remove(rogue);
+            rogue.geometry.dispose();
+            rogue.material.dispose();
+        });
+        this.rogueBodies = [];
+    }
+
+    /**
+     * Relative energy drift of the N-body integration, or null when physics is off
+     */
+    getEnergyDrift() {
+        return this.physicsMode ? this.nbody.getEnergyDrift() : null;
+    }
+
+    /**
+     * Combined mass of the system's stars in solar masses
+     */
+    getStarMass() {
+        return this.starData.reduce((total, data) => total + data.mass, 0) / SOLAR_MASS_KG;
+    }
+
+    /**
+     * Map a distance from the star (or barycentre) in AU to scene units for the current scale mode
+     */
+    getSceneDistance(distanceAU) {
+        return this.scaleModel.distance(distanceAU);
+    }
+
+    /**
+     * Switch how distances and sizes are scaled, animating bodies to their new places
+     */
+    setScaleMode(mode) {
+        if (!SCALE_MODES[mode] || mode === this.scaleModel.mode) return;
+        
+        this.scaleModel.setMode(mode);
+        
+        // Runs on its own frames so the transition also plays while paused
+        const transition = { startTime: Date.now() };
+        this.scaleTransition = transition;
+        
+        const animateScale = () => {
+            if (this.scaleTransition !== transition) return;
+            
+            this.scaleModel.progress = Math.min((Date.now() - transition.startTime) / SCALE_TRANSITION_DURATION, 1);
+            this.applyScale();
+            this.renderIfPaused();
+            
+            if (this.scaleModel.isTransitioning()) {
+                requestAnimationFrame(animateScale);
+            }
+        };
+        
+        animateScale();
+        console.log(`📏 Scale mode: ${SCALE_MODES[mode].label}`);
+    }
+
+    /**
+     * Size and place every body, orbit and light for the current (possibly blending) scale
+     */
+    applyScale() {
+        [...this.suns, ...this.planets].forEach(body => {
+            const userData = body.userData;
+            
+            // Meshes were built at their catalog radius
+            userData.sizeScale = this.scaleModel.radius(userData) / userData.radius;
+            body.scale.setScalar(userData.sizeScale);
+            
+            if (userData.orbitLine) {
+                userData.orbitScale = this.scaleModel.orbitDistance(userData) / userData.semiMajorAxis;
+                userData.orbitLine.scale.setScalar(userData.orbitScale);
+            }
+        });
+        
+        this.moonSystem.applyScale(this.scaleModel);
+        this.cometSystem.applyScale(this.scaleModel);
+        this.transferSystem.updatePath();
+        this.missionSystem.applyScale(this.scaleModel);
+        this.suns.forEach(sun => this.updateStarLight(sun));
+        this.updateCameraLimits();
+        
+        // Recorded positions belong to the previous scale
+        this.trailSystem.reset();
+        this.advanceBodies(0);
+    }
+
+    /**
+     * Fit the camera's near plane and zoom limits to the current sizes and orbits
+     */
+    updateCameraLimits() {
+        const bodies = [...this.suns, ...this.planets, ...this.moonSystem.moons];
+        const smallestScale = Math.min(1, ...bodies.map(body => body.userData.sizeScale));
+        const extent = Math.max(0, ...this.planets.map(planet => planet.userData.orbitScale * planet.userData.semiMajorAxis));
+        
+        this.camera.near = CAMERA_NEAR * smallestScale;
+        this.camera.updateProjectionMatrix();
+        
+        this.controls.minDistance = MIN_CAMERA_DISTANCE * (this.suns[0]?.userData.sizeScale ?? 1);
+        this.controls.maxDistance = Math.max(MAX_CAMERA_DISTANCE, extent * 1.7);
+    }
+
+    /**
+     * Current scale mode with the positions of the reference orbits along a scale bar
+     */
+    getScaleBar() {
+        return {
+            mode: this.scaleModel.mode,
+            label: SCALE_MODES[this.scaleModel.mode].label,
+            description: this.scaleModel.getDescription(),
+            ticks: this.scaleModel.getTicks(),
+            transitioning: this.scaleModel.isTransitioning()
+        };
+    }
+
+    /**
+     * Orient a body about its tilted axis for the current simulation date
+     */
+    updateBodyRotation(body) {
+        const userData = body.userData;
+        const angle = OrbitalMechanics.getRotationAngle(userData.rotationPeriod, this.simulationClock.julianDate);
+        
+        body.quaternion.setFromAxisAngle(Y_AXIS, angle).premultiply(userData.axisTilt);
+    }
+
+    /**
+     * Place a planet on its orbit for the current simulation date by solving Kepler's equation
+     */
+    updatePlanetPosition(planet) {
+        const userData = planet.userData;
+        const elements = OrbitalMechanics.getElementsAt(userData, this.simulationClock.getCenturiesSinceJ2000());
+        const meanAnomaly = THREE.MathUtils.degToRad(elements.meanAnomaly) + userData.phaseOffset;
+        
+        OrbitalMechanics.getPosition(elements, meanAnomaly, planet.position);
+        planet.position.multiplyScalar(userData.orbitScale);
+        
+        if (userData.host) {
+            planet.position.add(userData.host.position);
+        }
+    }
+
+    /**
+     * Place the stars of a multiple system on their orbits about the barycentre
+     */
+    updateStarPositions() {
+        const centuries = this.simulationClock.getCenturiesSinceJ2000();
+        
+        this.suns.forEach(sun => {
+            const userData = sun.userData;
+            if (!userData.orbitScale) return;
+            
+            const elements = OrbitalMechanics.getElementsAt(userData, centuries);
+            OrbitalMechanics.getPosition(elements, THREE.MathUtils.degToRad(elements.meanAnomaly), sun.position);
+            sun.position.multiplyScalar(userData.orbitScale);
+        });
     }
 
     /**
@@ -489,7 +1402,11 @@ export class SolarSystem {
      * Render the scene
      */
     render() {
+        this.sunEffects.update(this.camera, this.getPickableObjects(), this.clock.elapsedTime);
+        this.atmosphereSystem.update(this.suns);
+        this.skyOverlay.update(this.camera, this.canvas.clientWidth, this.canvas.clientHeight);
         this.renderer.render(this.scene, this.camera);
+        this.sunEffects.renderOverlay(this.renderer);
     }
 
     /**
@@ -517,6 +1434,8 @@ export class SolarSystem {
     resume() {
         if (!this.isPlaying) {
             this.isPlaying = true;
+            // Drop the time spent paused so the first frame does not jump the date ahead
+            this.clock.getDelta();
             this.animate();
         }
     }
@@ -525,15 +1444,27 @@ export class SolarSystem {
      * Reset animation
      */
     reset() {
+        // Return the clock to the present moment
+        this.simulationClock.setDate(new Date());
+        
         // Reset planet positions
         this.planets.forEach(planet => {
-            planet.userData.angle = Math.random() * Math.PI * 2;
+            planet.userData.phaseOffset = 0;
             planet.userData.individualSpeed = 1.0;
         });
         
+        if (this.physicsMode) {
+            this.seedPhysics();
+        }
+        this.trailSystem.reset();
+        this.advanceBodies(0);
+        
         this.globalSpeed = 1.0;
+        this.simulationClock.timeScale = TIME_UNITS.day;
         
         // Reset camera
+        this.setSelectedBody(null);
+        this.setFollowedBody(null);
         this.camera.position.set(0, 30, 60);
         this.camera.lookAt(0, 0, 0);
         this.controls.reset();
@@ -551,6 +1482,7 @@ export class SolarSystem {
         
         this.renderer.setSize(width, height);
         this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.starField?.setPixelRatio(this.renderer.getPixelRatio());
     }
 
     /**
@@ -562,17 +1494,71 @@ export class SolarSystem {
             this.orbitLines.forEach(orbit => {
                 orbit.visible = this.showOrbits;
             });
+            this.moonSystem.setOrbitsVisible(this.showOrbits);
+        }
+        
+        if (settings.showTrails !== undefined) {
+            this.showTrails = settings.showTrails;
+            this.trailSystem.setVisible(this.showTrails);
+            this.trailSystem.update(this.simulationClock.julianDate);
         }
         
         if (settings.showLabels !== undefined) {
             this.showLabels = settings.showLabels;
         }
         
+        if (settings.showAxes !== undefined) {
+            this.showAxes = settings.showAxes;
+            this.axisLines.forEach(axisLine => {
+                axisLine.visible = this.showAxes;
+            });
+        }
+        
+        if (settings.showBelts !== undefined) {
+            this.showBelts = settings.showBelts;
+            this.beltSystem.setVisible(this.showBelts);
+            this.beltSystem.update(this.simulationClock.julianDate);
+        }
+        
         if (settings.showStars !== undefined) {
             this.showStars = settings.showStars;
-            if (this.stars) {
-                this.stars.visible = this.showStars;
-            }
+            this.starField?.setVisible(this.showStars);
+        }
+        
+        if (settings.showConstellations !== undefined) {
+            this.showConstellations = settings.showConstellations;
+            this.skyOverlay.setVisible('constellations', this.showConstellations);
+        }
+        
+        if (settings.showConstellationNames !== undefined) {
+            this.showConstellationNames = settings.showConstellationNames;
+            this.skyOverlay.setNamesVisible(this.showConstellationNames);
+        }
+        
+        if (settings.showSkyGrid !== undefined) {
+            this.showSkyGrid = settings.showSkyGrid;
+            this.skyOverlay.setVisible('grid', this.showSkyGrid);
+        }
+        
+        if (settings.showEcliptic !== undefined) {
+            this.showEcliptic = settings.showEcliptic;
+            this.skyOverlay.setVisible('ecliptic', this.showEcliptic);
+        }
+        
+        if (settings.showCelestialEquator !== undefined) {
+            this.showCelestialEquator = settings.showCelestialEquator;
+            this.skyOverlay.setVisible('equator', this.showCelestialEquator);
+        }
+        
+        if (settings.showSunEffects !== undefined) {
+            this.showSunEffects = settings.showSunEffects;
+            this.sunEffects.setEnabled(this.showSunEffects);
+        }
+        
+        if (settings.showMissions !== undefined) {
+            this.showMissions = settings.showMissions;
+            this.missionSystem.setVisible(this.showMissions);
+            this.missionSystem.update(this.simulationClock.julianDate);
         }
         
         if (settings.darkMode !== undefined) {
@@ -581,6 +1567,160 @@ export class SolarSystem {
         }
     }
 
+    /**
+     * Show only background stars at or brighter than a magnitude, and return how many are shown
+     */
+    setStarMagnitudeLimit(magnitude) {
+        const count = this.starField ? this.starField.setMagnitudeLimit(magnitude) : 0;
+        this.renderIfPaused();
+        return count;
+    }
+
+    /**
+     * Set the length of time, in simulated days, over which motion trails fade out
+     */
+    setTrailLength(days) {
+        this.trailLength = days;
+        this.trailSystem.setLength(days);
+        this.trailSystem.update(this.simulationClock.julianDate);
+        this.renderIfPaused();
+    }
+
+    /**
+     * Mass in kg of a planet with the moons that have a catalog `mass`, as seen from its star
+     */
+    getPlanetSystemMass(planet) {
+        return this.moonSystem.moons
+            .filter(moon => moon.userData.parent === planet.name && moon.userData.mass)
+            .reduce((total, moon) => total + moon.userData.mass, planet.userData.mass);
+    }
+
+    /**
+     * Pairs of bodies whose Lagrange points can be shown: every planet with its star, and moons with a catalog `mass`
+     */
+    getLagrangePairs() {
+        const moons = this.moonSystem.moons;
+        
+        const planetPairs = this.planets.map(planet => {
+            const host = planet.userData.host;
+            return {
+                primary: host,
+                secondary: planet,
+                primaryName: host ? host.name : this.suns.map(sun => sun.name).join(' + '),
+                primaryMass: host ? host.userData.mass : this.starData.reduce((total, data) => total + data.mass, 0),
+                secondaryMass: this.getPlanetSystemMass(planet),
+                moons: moons.filter(moon => moon.userData.parent === planet.name)
+            };
+        });
+        
+        const moonPairs = moons
+            .filter(moon => moon.userData.mass)
+            .map(moon => {
+                const parent = this.planets.find(planet => planet.name === moon.userData.parent);
+                return {
+                    primary: parent,
+                    secondary: moon,
+                    primaryName: parent.name,
+                    primaryMass: parent.userData.mass,
+                    secondaryMass: moon.userData.mass,
+                    moons: []
+                };
+            });
+        
+        return [...planetPairs, ...moonPairs];
+    }
+
+    /**
+     * Show the Lagrange points and Hill sphere of a planet or moon with what it orbits; null hides them
+     */
+    setLagrangePair(secondaryName) {
+        const pair = this.getLagrangePairs().find(candidate => candidate.secondary.name === secondaryName) || null;
+        
+        this.lagrangeSystem.setPair(pair);
+        this.lagrangeSystem.update(this.simulationClock.getCenturiesSinceJ2000());
+        this.renderIfPaused();
+    }
+
+    /**
+     * Plan a Hohmann transfer between two planets of the same star and fly a spacecraft along it (see TransferPlanner)
+     *
+     * The transfer leaves at the first launch window from the simulation date, with
+     * the planets' individual speeds as they are now. Returns the planned transfer,
+     * or null when the planets never line up. The spacecraft follows the analytic
+     * orbits, so in N-body mode it can miss planets that have been pulled off them.
+     */
+    planTransfer(departureName, arrivalName) {
+        const departure = this.planets.find(planet => planet.name === departureName);
+        const arrival = this.planets.find(planet => planet.name === arrivalName);
+        if (!departure || !arrival) {
+            throw new Error(`Unknown planet: ${departure ? arrivalName : departureName}`);
+        }
+        
+        const host = departure.userData.host;
+        const starMass = host ? host.userData.mass / SOLAR_MASS_KG : this.getStarMass();
+        const planner = new TransferPlanner(departure.userData, arrival.userData, starMass, this.simulationClock.julianDate);
+        const transfer = planner.plan();
+        
+        this.showTransfer(transfer ? planner : null, departure, arrival);
+        
+        if (transfer) {
+            console.log(`🚀 Planned ${departureName} → ${arrivalName} transfer`);
+        }
+        return transfer;
+    }
+
+    /**
+     * Remove the planned transfer and its spacecraft
+     */
+    clearTransfer() {
+        this.showTransfer(null);
+    }
+
+    /**
+     * Replace the drawn transfer, dropping the highlight of the old spacecraft
+     */
+    showTransfer(planner, departure = null, arrival = null) {
+        const spacecraft = this.transferSystem.spacecraft;
+        if (this.hoveredBody === spacecraft) {
+            this.setHoveredBody(null);
+        }
+        if (this.selectedBody === spacecraft) {
+            this.setSelectedBody(null);
+        }
+        
+        this.transferSystem.setTransfer(planner, departure, arrival);
+        this.transferSystem.update(this.simulationClock.julianDate);
+        this.renderIfPaused();
+    }
+
+    /**
+     * Spacecraft missions of the current system, with their samples and events (see MissionTrajectory)
+     */
+    getMissions() {
+        return this.missions;
+    }
+
+    /**
+     * Show the missions and fly the camera to a spacecraft, following it
+     *
+     * Before launch or after the mission ended, the clock first jumps to the launch
+     * or the end, so there is a spacecraft to follow.
+     */
+    followMission(name) {
+        const spacecraft = this.missionSystem.spacecraft.find(candidate => candidate.name === name);
+        if (!spacecraft) return;
+        
+        const mission = spacecraft.userData.mission;
+        const julian = this.simulationClock.julianDate;
+        if (!mission.isActive(julian)) {
+            this.setDate(SimulationClock.julianToDate(julian < mission.startJulian ? mission.startJulian : mission.endJulian));
+        }
+        
+        this.updateVisualSettings({ showMissions: true });
+        this.focusOnObject(spacecraft);
+        console.log(`🛰️ Following ${name}`);
+    }
+
     /**
      * Set global speed
      */
@@ -588,6 +1728,87 @@ export class SolarSystem {
         this.globalSpeed = speed;
     }
 
+    /**
+     * Set simulated days per real second (negative values run time backwards)
+     */
+    setTimeScale(daysPerSecond) {
+        this.simulationClock.timeScale = daysPerSecond;
+    }
+
+    /**
+     * Get the current simulation time as a Julian date
+     */
+    getJulianDate() {
+        return this.simulationClock.julianDate;
+    }
+
+    /**
+     * Jump the simulation clock to a date
+     */
+    setDate(date) {
+        if (isNaN(date.getTime())) {
+            console.warn('Invalid simulation date:', date);
+            return;
+        }
+        
+        this.simulationClock.setDate(date);
+        
+        // Jumps restart the integration from the ephemeris rather than integrating across the gap
+        if (this.physicsMode) {
+            this.seedPhysics();
+        }
+        
+        this.trailSystem.reset();
+        this.advanceBodies(0);
+        this.renderIfPaused();
+    }
+
+    /**
+     * Step the simulation clock forwards or backwards by a number of days
+     */
+    stepTime(days) {
+        const deltaDays = this.simulationClock.step(days);
+        this.advanceBodies(deltaDays);
+        this.renderIfPaused();
+    }
+
+    /**
+     * Render a single frame so changes show while the animation loop is paused
+     */
+    renderIfPaused() {
+        if (!this.isPlaying) {
+            this.render();
+        }
+    }
+
+    /**
+     * Find eclipses, transits and occultations seen from a planet between two dates (see EventPredictor)
+     */
+    findEvents(observerName, startDate, endDate, types = null) {
+        const predictor = new EventPredictor(this.starData, this.planetData, this.moonData);
+        
+        return predictor.find(
+            observerName,
+            SimulationClock.dateToJulian(startDate),
+            SimulationClock.dateToJulian(endDate),
+            types
+        );
+    }
+
+    /**
+     * Find conjunctions, oppositions, greatest elongations and planet parades seen from a planet (see AlignmentFinder)
+     */
+    findAlignments(observerName, startDate, endDate, options = {}) {
+        const finder = new AlignmentFinder(this.starData, this.planetData);
+        
+        return finder.find(
+            observerName,
+            SimulationClock.dateToJulian(startDate),
+            SimulationClock.dateToJulian(endDate),
+            options
+        );
+    }
+
     /**
      * Set individual planet speed
      */
@@ -602,6 +1823,8 @@ export class SolarSystem {
      * Reset camera to default view
      */
     resetCamera() {
+        this.setSelectedBody(null);
+        this.setFollowedBody(null);
         this.camera.position.set(0, 30, 60);
         this.camera.lookAt(0, 0, 0);
         this.controls.reset();
@@ -611,6 +1834,7 @@ export class SolarSystem {
      * Set camera to top view
      */
     setTopView() {
+        this.setFollowedBody(null);
         this.camera.position.set(0, 100, 0);
         this.camera.lookAt(0, 0, 0);
         this.controls.update();
@@ -622,6 +1846,56 @@ export class SolarSystem {
     dispose() {
         this.pause();
         
+        if (this.sunEffects) {
+            this.sunEffects.dispose();
+        }
+        
+        if (this.ringSystem) {
+            this.ringSystem.dispose();
+        }
+        
+        if (this.atmosphereSystem) {
+            this.atmosphereSystem.dispose();
+        }
+        
+        if (this.moonSystem) {
+            this.moonSystem.dispose();
+        }
+        
+        if (this.beltSystem) {
+            this.beltSystem.dispose();
+        }
+        
+        if (this.cometSystem) {
+            this.cometSystem.dispose();
+        }
+        
+        if (this.trailSystem) {
+            this.trailSystem.dispose();
+        }
+        
+        if (this.lagrangeSystem) {
+            this.lagrangeSystem.dispose();
+        }
+        
+        if (this.transferSystem) {
+            this.transferSystem.dispose();
+        }
+        
+        if (this.missionSystem) {
+            this.missionSystem.dispose();
+        }
+        
+        if (this.starField) {
+            this.starField.dispose();
+        }
+        
+        if (this.skyOverlay) {
+            this.skyOverlay.dispose();
+        }
+        
+        this.textureGenerator.dispose();
+        
         // Dispose geometries and materials
         this.scene.traverse((object) => {
             if (object.geometry) {
@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+import { StarFieldShaderMaterial } from '../shaders/StarFieldShaderMaterial.js';
+import { StarCatalog } from '../utils/StarCatalog.js';
+
+/**
+ * Faintest magnitude shown until the limit is changed; fainter than any bundled star
+ */
+export const DEFAULT_MAGNITUDE_LIMIT = 5;
+
+/**
+ * Point diameter in CSS pixels of a magnitude 0 star, and the smallest diameter drawn
+ */
+const ZERO_MAGNITUDE_SIZE = 3.5;
+const MIN_STAR_SIZE = 2;
+
+/**
+ * Powers of ten the diameter shrinks by per magnitude; a fifth would keep the area
+ * in step with the light, which leaves faint stars too small to see
+ */
+const SIZE_PER_MAGNITUDE = 0.1;
+
+/**
+ * StarField draws the bright-star catalog on the celestial sphere (see StarCatalog)
+ *
+ * Stars sit at infinite distance in the directions of their J2000 positions, oriented
+ * to the ecliptic like the orbits, and are colored by temperature from their B–V
+ * index. Brighter stars are larger; stars that would be smaller than MIN_STAR_SIZE
+ * keep that size and dim instead, in proportion to the area they lost. The catalog
+ * is sorted brightest first, so a magnitude limit is a draw range.
+ */
+export class StarField {
+    constructor(scene, pixelRatio = 1) {
+        this.scene = scene;
+        this.catalog = null;
+        this.points = null;
+        this.magnitudeLimit = DEFAULT_MAGNITUDE_LIMIT;
+        this.visible = true;
+        this.material = new StarFieldShaderMaterial({ pixelRatio });
+    }
+
+    /**
+     * Create a point for every star in a catalog
+     */
+    create(catalog) {
+        this.catalog = catalog;
+
+        const count = catalog.stars.length;
+        const positions = new Float32Array(count * 3);
+        const colors = new Float32Array(count * 3);
+        const sizes = new Float32Array(count);
+        const brightnesses = new Float32Array(count);
+        const direction = new THREE.Vector3();
+        const color = new THREE.Color();
+
+        catalog.stars.forEach((star, index) => {
+            StarCatalog.getDirection(star, direction).toArray(positions, index * 3);
+            StarCatalog.getColor(star, color).toArray(colors, index * 3);
+
+            const size = ZERO_MAGNITUDE_SIZE * Math.pow(10, -SIZE_PER_MAGNITUDE * star.mag);
+            sizes[index] = Math.max(size, MIN_STAR_SIZE);
+            brightnesses[index] = Math.min(1, Math.pow(size / MIN_STAR_SIZE, 2));
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+        geometry.setAttribute('brightness', new THREE.BufferAttribute(brightnesses, 1));
+
+        this.points = new THREE.Points(geometry, this.material);
+        this.points.name = 'Background Stars';
+        // The sphere of directions is around the origin, not around the camera
+        this.points.frustumCulled = false;
+        this.points.renderOrder = -1;
+        this.scene.add(this.points);
+
+        this.setMagnitudeLimit(this.magnitudeLimit);
+        this.setVisible(this.visible);
+    }
+
+    /**
+     * Show only stars at or brighter than a magnitude, and return how many that is
+     */
+    setMagnitudeLimit(magnitude) {
+        this.magnitudeLimit = magnitude;
+        if (!this.points) return 0;
+
+        const count = this.catalog.countBrighterThan(magnitude);
+        this.points.geometry.setDrawRange(0, count);
+        return count;
+    }
+
+    /**
+     * Show or hide the stars
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        if (this.points) {
+            this.points.visible = visible;
+        }
+    }
+
+    /**
+     * Set the device pixel ratio the point sizes are scaled by
+     */
+    setPixelRatio(pixelRatio) {
+        this.material.setPixelRatio(pixelRatio);
+    }
+
+    /**
+     * Remove the stars and free their GPU resources
+     */
+    dispose() {
+        if (this.points) {
+            this.points.geometry.dispose();
+            this.scene.remove(this.points);
+            this.points = null;
+        }
+        this.material.dispose();
+    }
+}
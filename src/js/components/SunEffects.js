@@ -0,0 +1,251 @@
+import * as THREE from 'three';
+import { SunShaderMaterial } from '../shaders/SunShaderMaterial.js';
+import { CoronaShaderMaterial } from '../shaders/CoronaShaderMaterial.js';
+
+/**
+ * Corona size in star radii
+ */
+const CORONA_EXTENT = 4;
+
+/**
+ * Lens flare elements: `offset` runs along the line from the star (0) through the screen
+ * centre (1) to its mirror image (2); `size` is in screen heights
+ */
+const FLARE_ELEMENTS = [
+    { texture: 'glare', size: 0.55, offset: 0, opacity: 0.8 },
+    { texture: 'halo', size: 0.35, offset: 0, opacity: 0.25 },
+    { texture: 'ghost', size: 0.06, offset: 0.45, opacity: 0.3, tint: 0x88aaff },
+    { texture: 'ghost', size: 0.12, offset: 0.8, opacity: 0.18, tint: 0xffaa66 },
+    { texture: 'ghost', size: 0.04, offset: 1.15, opacity: 0.35, tint: 0x99ff99 },
+    { texture: 'ghost', size: 0.18, offset: 1.5, opacity: 0.12, tint: 0x88aaff },
+    { texture: 'halo', size: 0.3, offset: 1.9, opacity: 0.1, tint: 0xffccaa }
+];
+
+/**
+ * Points on the star's disc, in star radii, tested for occlusion each frame
+ */
+const OCCLUSION_SAMPLES = [[0, 0], ...Array.from({ length: 8 }, (_, i) => {
+    const angle = i / 8 * Math.PI * 2;
+    return [Math.cos(angle) * 0.75, Math.sin(angle) * 0.75];
+})];
+
+/**
+ * How quickly the flare follows the star's visibility, per second
+ */
+const FLARE_FADE_RATE = 8;
+
+/**
+ * SunEffects adds an animated photosphere, a corona with prominences and a lens flare to each star
+ *
+ * The lens flare is drawn in a screen-space overlay after the scene. Its brightness
+ * follows the fraction of the star's disc left uncovered by planets and moons, found
+ * by raycasting a few points on the disc. When disabled, stars fall back to their
+ * plain material and glow.
+ */
+export class SunEffects {
+    constructor() {
+        this.stars = [];
+        this.enabled = true;
+        this.raycaster = new THREE.Raycaster();
+        this.lastUpdate = performance.now();
+
+        // Screen-space overlay for the flares; one unit is half the screen height
+        this.overlayScene = new THREE.Scene();
+        this.overlayCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.flareTextures = SunEffects.createFlareTextures();
+    }
+
+    /**
+     * Add effects to every star
+     */
+    create(suns) {
+        suns.forEach((sun, index) => {
+            const radius = sun.geometry.parameters.radius;
+            const starColor = sun.userData.starColor;
+
+            const surfaceMaterial = new SunShaderMaterial({ starColor });
+            const corona = new THREE.Mesh(
+                new THREE.PlaneGeometry(2, 2),
+                new CoronaShaderMaterial({ starColor, radius, extent: CORONA_EXTENT, seed: index * 31 })
+            );
+            corona.frustumCulled = false; // The quad is expanded in the shader
+            sun.add(corona);
+
+            const flare = this.createFlare(starColor);
+            this.overlayScene.add(flare);
+
+            this.stars.push({ sun, basicMaterial: sun.material, surfaceMaterial, corona, flare, visibility: 0 });
+        });
+
+        this.setEnabled(this.enabled);
+    }
+
+    /**
+     * Build the sprites of one star's lens flare, tinted by the star's color
+     */
+    createFlare(starColor) {
+        const flare = new THREE.Group();
+
+        FLARE_ELEMENTS.forEach(element => {
+            const color = starColor.clone().lerp(new THREE.Color(0xffffff), 0.5);
+            if (element.tint) color.multiply(new THREE.Color(element.tint));
+
+            const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+                map: this.flareTextures[element.texture],
+                color,
+                blending: THREE.AdditiveBlending,
+                transparent: true,
+                depthTest: false,
+                depthWrite: false
+            }));
+            sprite.scale.setScalar(element.size * 2);
+            sprite.userData = element;
+            flare.add(sprite);
+        });
+
+        return flare;
+    }
+
+    /**
+     * Switch between the animated effects and the plain star material
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+
+        this.stars.forEach(star => {
+            star.sun.material = enabled ? star.surfaceMaterial : star.basicMaterial;
+            star.corona.visible = enabled;
+            star.flare.visible = enabled;
+            if (star.sun.userData.glow) star.sun.userData.glow.visible = !enabled;
+        });
+    }
+
+    /**
+     * Animate the surfaces and place each flare, fading it by how much of its star is hidden
+     */
+    update(camera, occluders, time) {
+        if (!this.enabled) return;
+
+        const now = performance.now();
+        const fade = Math.min((now - this.lastUpdate) / 1000 * FLARE_FADE_RATE, 1);
+        this.lastUpdate = now;
+
+        camera.updateMatrixWorld();
+        this.overlayCamera.left = -camera.aspect;
+        this.overlayCamera.right = camera.aspect;
+        this.overlayCamera.updateProjectionMatrix();
+
+        const centre = new THREE.Vector3();
+        const screenPosition = new THREE.Vector3();
+
+        this.stars.forEach(star => {
+            star.surfaceMaterial.updateTime(time);
+            star.corona.material.updateTime(time);
+
+            star.sun.getWorldPosition(centre);
+            screenPosition.copy(centre).project(camera);
+
+            const onScreen = screenPosition.z < 1 && Math.abs(screenPosition.x) < 1.2 && Math.abs(screenPosition.y) < 1.2;
+            const target = onScreen ? this.getVisibleFraction(star.sun, centre, camera, occluders) : 0;
+            star.visibility += (target - star.visibility) * fade;
+
+            star.flare.visible = star.visibility > 0.01;
+            star.flare.children.forEach(sprite => {
+                const { offset, opacity } = sprite.userData;
+                sprite.position.set(
+                    screenPosition.x * (1 - offset) * camera.aspect,
+                    screenPosition.y * (1 - offset),
+                    0
+                );
+                sprite.material.opacity = opacity * star.visibility;
+            });
+        });
+    }
+
+    /**
+     * Fraction of sample points on a star's disc with a clear line of sight from the camera
+     */
+    getVisibleFraction(sun, centre, camera, occluders) {
+        const blockers = occluders.filter(object => object !== sun && object.visible);
+        const radius = sun.geometry.parameters.radius * sun.scale.x;
+
+        // Disc axes along the screen's
+        const right = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0);
+        const up = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 1);
+
+        const point = new THREE.Vector3();
+        const direction = new THREE.Vector3();
+
+        const visible = OCCLUSION_SAMPLES.filter(([x, y]) => {
+            point.copy(centre).addScaledVector(right, x * radius).addScaledVector(up, y * radius);
+            direction.subVectors(point, camera.position);
+            const distance = direction.length();
+
+            this.raycaster.set(camera.position, direction.normalize());
+            this.raycaster.far = distance;
+            return this.raycaster.intersectObjects(blockers, false).length === 0;
+        });
+
+        return visible.length / OCCLUSION_SAMPLES.length;
+    }
+
+    /**
+     * Draw the flares over the rendered scene
+     */
+    renderOverlay(renderer) {
+        if (!this.enabled || !this.stars.some(star => star.flare.visible)) return;
+
+        const autoClear = renderer.autoClear;
+        renderer.autoClear = false;
+        renderer.render(this.overlayScene, this.overlayCamera);
+        renderer.autoClear = autoClear;
+    }
+
+    /**
+     * Paint the soft glare, halo ring and ghost disc used by the flare elements
+     */
+    static createFlareTextures() {
+        const paint = (draw) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = 128;
+            canvas.height = 128;
+            const context = canvas.getContext('2d');
+            draw(context, 64);
+
+            const texture = new THREE.CanvasTexture(canvas);
+            texture.colorSpace = THREE.SRGBColorSpace;
+            return texture;
+        };
+
+        const radial = (context, size, stops) => {
+            const gradient = context.createRadialGradient(size, size, 0, size, size, size);
+            stops.forEach(([position, alpha]) => gradient.addColorStop(position, `rgba(255, 255, 255, ${alpha})`));
+            context.fillStyle = gradient;
+            context.fillRect(0, 0, size * 2, size * 2);
+        };
+
+        return {
+            glare: paint((context, size) => radial(context, size, [[0, 1], [0.08, 0.8], [0.25, 0.2], [1, 0]])),
+            halo: paint((context, size) => radial(context, size, [[0, 0], [0.7, 0], [0.82, 0.6], [0.9, 0.15], [1, 0]])),
+            ghost: paint((context, size) => radial(context, size, [[0, 0.5], [0.75, 0.4], [0.95, 0.7], [1, 0]]))
+        };
+    }
+
+    /**
+     * Remove every star's effects and free their GPU resources
+     */
+    dispose() {
+        this.stars.forEach(star => {
+            star.sun.material = star.basicMaterial;
+            star.surfaceMaterial.dispose();
+            star.corona.geometry.dispose();
+            star.corona.material.dispose();
+            star.corona.removeFromParent();
+            star.flare.children.forEach(sprite => sprite.material.dispose());
+            this.overlayScene.remove(star.flare);
+        });
+        this.stars = [];
+
+        Object.values(this.flareTextures).forEach(texture => texture.dispose());
+    }
+}
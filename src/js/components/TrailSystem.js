@@ -0,0 +1,207 @@
+import * as THREE from 'three';
+import { TIME_UNITS } from '../utils/SimulationClock.js';
+
+/**
+ * Positions each trail's ring buffer holds
+ */
+const TRAIL_POINTS = 1024;
+
+/**
+ * Samples recorded per orbit of a body; fast bodies with long trails are cut to
+ * TRAIL_POINTS / SAMPLES_PER_ORBIT orbits rather than drawn as jagged polygons
+ */
+const SAMPLES_PER_ORBIT = 64;
+
+/**
+ * Default length of time, in simulated days, over which a trail fades out
+ */
+export const DEFAULT_TRAIL_LENGTH = TIME_UNITS.year;
+
+/**
+ * TrailSystem draws fading motion trails behind moving bodies
+ *
+ * Each trail records the body's recent world positions in a ring buffer as simulated
+ * time passes and fades them out over `length` days, so trails show how bodies really
+ * moved, including N-body and rogue-mass paths that the orbit lines cannot. Time running
+ * backwards, jumps longer than a trail and scale changes restart every trail.
+ */
+export class TrailSystem {
+    constructor(scene) {
+        this.scene = scene;
+        this.trails = [];
+        this.length = DEFAULT_TRAIL_LENGTH;
+        this.visible = false;
+
+        // Last recorded simulation time and the direction time was running (1, -1 or 0)
+        this.lastJulian = null;
+        this.direction = 0;
+    }
+
+    /**
+     * Add a trail behind each of the given bodies
+     */
+    create(bodies) {
+        bodies.forEach(body => this.add(body));
+    }
+
+    /**
+     * Start a trail behind a body, in the body's catalog color
+     */
+    add(body) {
+        const { starColor, color, meanMotion } = body.userData;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array((TRAIL_POINTS + 1) * 3), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array((TRAIL_POINTS + 1) * 3), 3));
+        geometry.setDrawRange(0, 0);
+
+        // Additive colors fade into the background without sorting
+        const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        }));
+        line.name = `${body.name} Trail`;
+        line.frustumCulled = false; // Its points change every frame
+        line.visible = this.visible;
+
+        // Ring buffer of world positions and the Julian dates they were recorded at
+        line.userData = {
+            body,
+            color: new THREE.Color(starColor ?? color ?? body.material.color),
+            period: meanMotion > 0 ? Math.PI * 2 / meanMotion : Infinity,
+            positions: new Float32Array(TRAIL_POINTS * 3),
+            times: new Float64Array(TRAIL_POINTS),
+            next: 0,
+            count: 0
+        };
+
+        this.trails.push(line);
+        this.scene.add(line);
+    }
+
+    /**
+     * Remove the trail behind a body
+     */
+    remove(body) {
+        const trail = this.trails.find(line => line.userData.body === body);
+        if (!trail) return;
+
+        this.disposeTrail(trail);
+        this.trails = this.trails.filter(line => line !== trail);
+    }
+
+    /**
+     * Set the length of time, in simulated days, over which trails fade out
+     */
+    setLength(days) {
+        this.length = days;
+        this.reset();
+    }
+
+    /**
+     * Show or hide every trail; hidden trails stop recording and start afresh when shown
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.trails.forEach(line => {
+            line.visible = visible;
+        });
+        this.reset();
+    }
+
+    /**
+     * Forget every recorded position
+     */
+    reset() {
+        this.lastJulian = null;
+        this.direction = 0;
+        this.trails.forEach(line => {
+            line.userData.next = 0;
+            line.userData.count = 0;
+            line.geometry.setDrawRange(0, 0);
+        });
+    }
+
+    /**
+     * Record the bodies' positions at a simulation time and redraw the trails
+     */
+    update(julian) {
+        if (!this.visible) return;
+
+        // A reversal or a jump past the end of the trails would draw paths the bodies never took
+        const delta = this.lastJulian === null ? 0 : julian - this.lastJulian;
+        if (Math.abs(delta) > this.length || delta * this.direction < 0) {
+            this.reset();
+        }
+        if (delta !== 0) {
+            this.direction = Math.sign(delta);
+        }
+        this.lastJulian = julian;
+
+        this.trails.forEach(line => this.updateTrail(line, julian));
+    }
+
+    /**
+     * Record one trail's body if it is due a sample and rebuild its line, oldest point first
+     */
+    updateTrail(line, julian) {
+        const trail = line.userData;
+        const head = trail.body.getWorldPosition(new THREE.Vector3());
+
+        // Fast bodies sample often enough to follow their orbits, and fade over what that leaves room for
+        const interval = Math.min(this.length / TRAIL_POINTS, trail.period / SAMPLES_PER_ORBIT);
+        const length = Math.min(this.length, interval * TRAIL_POINTS);
+
+        const newest = (trail.next + TRAIL_POINTS - 1) % TRAIL_POINTS;
+        if (trail.count === 0 || Math.abs(julian - trail.times[newest]) >= interval) {
+            head.toArray(trail.positions, trail.next * 3);
+            trail.times[trail.next] = julian;
+            trail.next = (trail.next + 1) % TRAIL_POINTS;
+            trail.count = Math.min(trail.count + 1, TRAIL_POINTS);
+        }
+
+        const positions = line.geometry.attributes.position;
+        const colors = line.geometry.attributes.color;
+        let vertex = 0;
+
+        const addVertex = (x, y, z, fade) => {
+            positions.setXYZ(vertex, x, y, z);
+            colors.setXYZ(vertex, trail.color.r * fade, trail.color.g * fade, trail.color.b * fade);
+            vertex++;
+        };
+
+        for (let i = trail.count; i > 0; i--) {
+            const index = (trail.next + TRAIL_POINTS - i) % TRAIL_POINTS;
+            const fade = 1 - Math.abs(julian - trail.times[index]) / length;
+            if (fade <= 0) continue;
+
+            addVertex(trail.positions[index * 3], trail.positions[index * 3 + 1], trail.positions[index * 3 + 2], fade);
+        }
+
+        // The trail always reaches the body, between samples too
+        addVertex(head.x, head.y, head.z, 1);
+
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+        line.geometry.setDrawRange(0, vertex);
+    }
+
+    /**
+     * Remove one trail from the scene and free its GPU resources
+     */
+    disposeTrail(line) {
+        line.geometry.dispose();
+        line.material.dispose();
+        this.scene.remove(line);
+    }
+
+    /**
+     * Remove every trail and free its GPU resources
+     */
+    dispose() {
+        this.trails.forEach(line => this.disposeTrail(line));
+        this.trails = [];
+    }
+}
@@ -0,0 +1,164 @@
+import * as THREE from 'three';
+import { OrbitLine } from './OrbitLine.js';
+import { SimulationClock } from '../utils/SimulationClock.js';
+
+/**
+ * Points along the drawn transfer path
+ */
+const PATH_POINTS = 256;
+
+/**
+ * Spacecraft marker radius in multiples of the smaller planet's on-screen radius, and its color
+ */
+const MARKER_SIZE = 0.5;
+const SPACECRAFT_COLOR = 0xf4f4ff;
+
+/**
+ * TransferSystem draws a planned Hohmann transfer and flies a spacecraft along it
+ *
+ * The transfer comes from a TransferPlanner in AU. Planets at different distances
+ * are mapped to the scene with different scales in every scale mode but true scale,
+ * so the path takes the departure planet's scale at launch, the arrival planet's at
+ * arrival and blends between them by distance from the star; both ends then meet
+ * the planets as drawn. The spacecraft waits at the departure planet until launch,
+ * follows the path in step with the simulation clock and stays with the arrival
+ * planet once there. Its `userData.orbitLine` is the path, so the two highlight together.
+ */
+export class TransferSystem {
+    constructor(scene) {
+        this.scene = scene;
+        this.planner = null;
+        this.departure = null;
+        this.arrival = null;
+        this.path = null;
+
+        this.spacecraft = new THREE.Mesh(
+            new THREE.OctahedronGeometry(1),
+            new THREE.MeshBasicMaterial({ color: SPACECRAFT_COLOR })
+        );
+        this.spacecraft.name = 'Spacecraft';
+        this.spacecraft.visible = false;
+        this.scene.add(this.spacecraft);
+    }
+
+    /**
+     * Fly the transfer a planner has planned between two planet meshes, or remove it when the planner is null
+     */
+    setTransfer(planner, departure = null, arrival = null) {
+        this.removePath();
+        this.planner = planner;
+        this.departure = departure;
+        this.arrival = arrival;
+        this.spacecraft.visible = Boolean(planner);
+        if (!planner) return;
+
+        const { transfer } = planner;
+        this.spacecraft.name = `${transfer.departure}–${transfer.arrival} Spacecraft`;
+
+        this.path = new OrbitLine(this.getPathPoints(), SPACECRAFT_COLOR, this.spacecraft);
+        this.path.name = `${transfer.departure}–${transfer.arrival} Transfer`;
+        this.spacecraft.userData.orbitLine = this.path;
+        this.scene.add(this.path);
+    }
+
+    /**
+     * Redraw the path for the planets' current scales
+     */
+    updatePath() {
+        this.path?.setPoints(this.getPathPoints());
+    }
+
+    /**
+     * Scene points along the transfer, relative to the star, evenly spaced in time
+     */
+    getPathPoints() {
+        const { departureJulian, transferTime } = this.planner.transfer;
+
+        return Array.from({ length: PATH_POINTS + 1 }, (_, i) => {
+            const position = this.planner.getSpacecraftPosition(departureJulian + transferTime * i / PATH_POINTS);
+            return this.toScene(position);
+        });
+    }
+
+    /**
+     * Map a position in AU from the star to the scene, between the two planets' scales
+     */
+    toScene(position) {
+        const { departureDistance, arrivalDistance } = this.planner.transfer;
+        const distance = Math.hypot(position.x, position.z);
+        const progress = THREE.MathUtils.clamp((distance - departureDistance) / (arrivalDistance - departureDistance), 0, 1);
+        const scale = THREE.MathUtils.lerp(this.departure.userData.orbitScale, this.arrival.userData.orbitScale, progress);
+
+        return position.multiplyScalar(scale);
+    }
+
+    /**
+     * Move the path with the star and the spacecraft to where it is at a Julian date
+     */
+    update(julian) {
+        if (!this.planner) return;
+
+        const { transfer } = this.planner;
+        const host = this.departure.userData.host;
+        const origin = host ? host.position : new THREE.Vector3();
+        const date = value => SimulationClock.formatJulianDate(value).slice(0, 10);
+        let status;
+
+        if (julian < transfer.departureJulian) {
+            this.spacecraft.position.copy(this.departure.position);
+            status = `Waiting at ${transfer.departure} for launch on ${date(transfer.departureJulian)}.`;
+        } else if (julian > transfer.arrivalJulian) {
+            this.spacecraft.position.copy(this.arrival.position);
+            status = `Arrived at ${transfer.arrival} on ${date(transfer.arrivalJulian)}.`;
+        } else {
+            this.spacecraft.position.copy(this.toScene(this.planner.getSpacecraftPosition(julian))).add(origin);
+            const day = Math.floor(julian - transfer.departureJulian) + 1;
+            status = `Day ${day} of ${Math.ceil(transfer.transferTime)} on the way to ${transfer.arrival}.`;
+        }
+
+        this.path.position.copy(origin);
+
+        const radius = Math.min(...[this.departure, this.arrival].map(planet => planet.geometry.parameters.radius * planet.scale.x));
+        this.spacecraft.scale.setScalar(MARKER_SIZE * radius);
+        this.spacecraft.userData.focusDistance = 20 * MARKER_SIZE * radius;
+        this.spacecraft.userData.info = `${status} Hohmann transfer needing ${transfer.totalDeltaV.toFixed(2)} km/s of delta-v.`;
+    }
+
+    /**
+     * Get the spacecraft while a transfer is planned
+     */
+    getPickableObjects() {
+        return this.planner ? [this.spacecraft] : [];
+    }
+
+    /**
+     * Get the transfer path while a transfer is planned
+     */
+    getPickableOrbits() {
+        return this.path ? [this.path] : [];
+    }
+
+    /**
+     * Remove the transfer path and free its GPU resources
+     */
+    removePath() {
+        if (!this.path) return;
+
+        this.path.geometry.dispose();
+        this.path.material.dispose();
+        this.scene.remove(this.path);
+        this.path = null;
+        this.spacecraft.userData.orbitLine = null;
+    }
+
+    /**
+     * Remove the path and the spacecraft and free their GPU resources
+     */
+    dispose() {
+        this.removePath();
+        this.spacecraft.geometry.dispose();
+        this.spacecraft.material.dispose();
+        this.scene.remove(this.spacecraft);
+        this.planner = null;
+    }
+}
@@ -1,3 +1,48 @@
+import { SimulationClock, TIME_UNITS } from '../utils/SimulationClock.js';
+import { BUNDLED_SYSTEMS } from '../utils/BodyCatalog.js';
+import { DEFAULT_SCALE_MODE } from '../utils/ScaleModel.js';
+import { DEFAULT_MAGNITUDE_LIMIT } from './StarField.js';
+
+/**
+ * Time-scale presets in order from slowest to fastest
+ */
+const TIME_SCALE_PRESETS = ['second', 'minute', 'hour', 'day', 'week', 'month', 'year'];
+
+const DEFAULT_TIME_SCALE = 'day';
+
+/**
+ * Simulated days over which motion trails fade, by choice of the trail length select
+ */
+const TRAIL_LENGTHS = {
+    month: TIME_UNITS.month,
+    quarter: 3 * TIME_UNITS.month,
+    year: TIME_UNITS.year,
+    decade: 10 * TIME_UNITS.year,
+    century: 100 * TIME_UNITS.year
+};
+
+const DEFAULT_TRAIL_LENGTH = 'year';
+
+/**
+ * Search run by each choice of the events filter, and the event types it lists (null lists them all)
+ */
+const EVENT_FILTERS = {
+    all: { search: 'events', types: null },
+    eclipses: { search: 'events', types: ['solar-eclipse', 'lunar-eclipse'] },
+    transits: { search: 'events', types: ['transit'] },
+    occultations: { search: 'events', types: ['occultation'] },
+    alignments: { search: 'alignments', types: null },
+    conjunctions: { search: 'alignments', types: ['conjunction'] },
+    oppositions: { search: 'alignments', types: ['opposition'] },
+    elongations: { search: 'alignments', types: ['elongation'] },
+    parades: { search: 'alignments', types: ['parade'] }
+};
+
+/**
+ * Length of the default search range, in years from the simulation date
+ */
+const DEFAULT_EVENT_YEARS = 10;
+
 /**
  * UIController manages all user interface interactions and updates
  */
@@ -7,6 +52,10 @@ export class UIController {
         this.controlPanel = document.getElementById('control-panel');
         this.isPanelCollapsed = false;
         this.isPlaying = true;
+        this.timeScaleUnit = DEFAULT_TIME_SCALE;
+        this.planetSpeedSliders = [];
+        this.transfer = null; // Transfer planned by the transfer planner
+        this.timelineMission = null; // Mission whose events the timeline shows
         
         this.initializeControls();
         this.setupEventListeners();
@@ -18,34 +67,89 @@ export class UIController {
     initializeControls() {
         // Get all control elements
         this.elements = {
+            // Star system controls
+            systemSelect: document.getElementById('system-select'),
+            loadSystemBtn: document.getElementById('load-system-btn'),
+            systemFileInput: document.getElementById('system-file'),
+            systemStatus: document.getElementById('system-status'),
+            
             // Animation controls
+            timeScaleSelect: document.getElementById('time-scale'),
             globalSpeedSlider: document.getElementById('global-speed'),
             globalSpeedValue: document.getElementById('global-speed-value'),
+            stepBackBtn: document.getElementById('step-back-btn'),
+            reverseBtn: document.getElementById('reverse-btn'),
+            stepForwardBtn: document.getElementById('step-forward-btn'),
+            jumpDateInput: document.getElementById('jump-date'),
+            jumpDateBtn: document.getElementById('jump-date-btn'),
+            nowBtn: document.getElementById('now-btn'),
             playPauseBtn: document.getElementById('play-pause-btn'),
             resetBtn: document.getElementById('reset-btn'),
             
-            // Planet speed controls
-            mercurySpeedSlider: document.getElementById('mercury-speed'),
-            mercurySpeedValue: document.getElementById('mercury-speed-value'),
-            venusSpeedSlider: document.getElementById('venus-speed'),
-            venusSpeedValue: document.getElementById('venus-speed-value'),
-            earthSpeedSlider: document.getElementById('earth-speed'),
-            earthSpeedValue: document.getElementById('earth-speed-value'),
-            marsSpeedSlider: document.getElementById('mars-speed'),
-            marsSpeedValue: document.getElementById('mars-speed-value'),
-            jupiterSpeedSlider: document.getElementById('jupiter-speed'),
-            jupiterSpeedValue: document.getElementById('jupiter-speed-value'),
-            saturnSpeedSlider: document.getElementById('saturn-speed'),
-            saturnSpeedValue: document.getElementById('saturn-speed-value'),
-            uranusSpeedSlider: document.getElementById('uranus-speed'),
-            uranusSpeedValue: document.getElementById('uranus-speed-value'),
-            neptuneSpeedSlider: document.getElementById('neptune-speed'),
-            neptuneSpeedValue: document.getElementById('neptune-speed-value'),
+            // Physics controls
+            physicsModeCheck: document.getElementById('physics-mode'),
+            rogueMassSelect: document.getElementById('rogue-mass'),
+            addRogueBtn: document.getElementById('add-rogue-btn'),
+            energyDriftValue: document.getElementById('energy-drift-value'),
+            
+            // Event predictor controls
+            eventObserverSelect: document.getElementById('event-observer'),
+            eventStartInput: document.getElementById('event-start'),
+            eventEndInput: document.getElementById('event-end'),
+            eventTypesSelect: document.getElementById('event-types'),
+            conjunctionOptions: document.getElementById('conjunction-options'),
+            conjunctionLimitInput: document.getElementById('conjunction-limit'),
+            paradeOptions: document.getElementById('parade-options'),
+            paradeSizeSelect: document.getElementById('parade-size'),
+            paradeSpanInput: document.getElementById('parade-span'),
+            findEventsBtn: document.getElementById('find-events-btn'),
+            eventStatus: document.getElementById('event-status'),
+            eventList: document.getElementById('event-list'),
+            
+            // Transfer planner controls
+            transferFromSelect: document.getElementById('transfer-from'),
+            transferToSelect: document.getElementById('transfer-to'),
+            planTransferBtn: document.getElementById('plan-transfer-btn'),
+            launchTransferBtn: document.getElementById('launch-transfer-btn'),
+            clearTransferBtn: document.getElementById('clear-transfer-btn'),
+            transferStatus: document.getElementById('transfer-status'),
+            
+            // Mission playback controls
+            showMissionsCheck: document.getElementById('show-missions'),
+            missionSelect: document.getElementById('mission-select'),
+            followMissionBtn: document.getElementById('follow-mission-btn'),
+            missionTimelineTrack: document.getElementById('mission-timeline-track'),
+            missionTimelineStart: document.getElementById('mission-timeline-start'),
+            missionTimelineEnd: document.getElementById('mission-timeline-end'),
+            missionStatus: document.getElementById('mission-status'),
+            
+            // Planet speed controls (built from the body catalog)
+            planetSpeedControls: document.getElementById('planet-speed-controls'),
+            planetCountValue: document.getElementById('planet-count'),
             
             // Visual controls
+            scaleModeSelect: document.getElementById('scale-mode'),
+            textureQualitySelect: document.getElementById('texture-quality'),
+            sunEffectsCheck: document.getElementById('sun-effects'),
+            scaleBarMode: document.getElementById('scale-bar-mode'),
+            scaleBarTrack: document.getElementById('scale-bar-track'),
+            scaleBarEnd: document.getElementById('scale-bar-end'),
+            scaleBarDescription: document.getElementById('scale-bar-description'),
             showOrbitsCheck: document.getElementById('show-orbits'),
+            showTrailsCheck: document.getElementById('show-trails'),
+            trailLengthSelect: document.getElementById('trail-length'),
+            lagrangePairSelect: document.getElementById('lagrange-pair'),
             showLabelsCheck: document.getElementById('show-labels'),
+            showAxesCheck: document.getElementById('show-axes'),
+            showBeltsCheck: document.getElementById('show-belts'),
             showStarsCheck: document.getElementById('show-stars'),
+            starMagnitudeSlider: document.getElementById('star-magnitude'),
+            starMagnitudeValue: document.getElementById('star-magnitude-value'),
+            showConstellationsCheck: document.getElementById('show-constellations'),
+            showConstellationNamesCheck: document.getElementById('show-constellation-names'),
+            showSkyGridCheck: document.getElementById('show-sky-grid'),
+            showEclipticCheck: document.getElementById('show-ecliptic'),
+            showCelestialEquatorCheck: document.getElementById('show-celestial-equator'),
             darkModeCheck: document.getElementById('dark-mode'),
             
             // Camera controls
@@ -69,23 +173,174 @@ export class UIController {
      * Setup all event listeners for UI controls
      */
     setupEventListeners() {
+        this.setupSystemControls();
         this.setupAnimationControls();
+        this.setupPhysicsControls();
+        this.setupEventControls();
+        this.setupTransferControls();
+        this.setupMissionControls();
         this.setupPlanetControls();
         this.setupVisualControls();
         this.setupCameraControls();
         this.setupPanelControls();
     }
 
+    /**
+     * Setup star system selector and custom file loading
+     */
+    setupSystemControls() {
+        const select = this.elements.systemSelect;
+        
+        if (select) {
+            BUNDLED_SYSTEMS.forEach(system => {
+                select.add(new Option(system.name, system.url));
+            });
+            select.value = this.solarSystem.catalogUrl;
+            this.activeSystem = select.value;
+            
+            select.addEventListener('change', (e) => {
+                this.loadSystem(e.target.value === 'custom' ? this.customSystem : e.target.value);
+            });
+        }
+        
+        // Custom systems are JSON files in the same format as the bundled catalogs
+        if (this.elements.loadSystemBtn && this.elements.systemFileInput) {
+            this.elements.loadSystemBtn.addEventListener('click', () => {
+                this.elements.systemFileInput.click();
+            });
+            
+            this.elements.systemFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) {
+                    this.loadSystem(file);
+                }
+            });
+        }
+        
+        this.setSystemStatus(this.solarSystem.catalog?.description || '');
+    }
+
+    /**
+     * Swap the simulated system and rebuild the controls that depend on its bodies
+     */
+    async loadSystem(source) {
+        this.setSystemStatus('Loading…');
+        
+        try {
+            const catalog = await this.solarSystem.loadSystem(source);
+            
+            if (source instanceof Blob) {
+                this.customSystem = catalog;
+                this.addCustomSystemOption(catalog.name);
+            }
+            this.activeSystem = this.elements.systemSelect?.value;
+            
+            this.setupPlanetControls();
+            this.setupEventObservers();
+            this.setupTransferPlanets();
+            this.setupMissions();
+            this.setupLagrangePairs();
+            this.updateScaleBar();
+            if (this.elements.physicsModeCheck) {
+                this.elements.physicsModeCheck.checked = false;
+            }
+            
+            this.setSystemStatus(catalog.description || catalog.name);
+        } catch (error) {
+            console.error('❌ Failed to load star system:', error);
+            this.setSystemStatus(`${error.message.split('\n')[0]} See the console for details.`, true);
+            
+            // Keep the selector on the system that is still shown
+            if (this.elements.systemSelect) {
+                this.elements.systemSelect.value = this.activeSystem;
+            }
+        }
+    }
+
+    /**
+     * Show a system loaded from a file in the selector
+     */
+    addCustomSystemOption(name) {
+        const select = this.elements.systemSelect;
+        if (!select) return;
+        
+        let option = select.querySelector('option[value="custom"]');
+        if (!option) {
+            option = new Option('', 'custom');
+            select.add(option);
+        }
+        option.textContent = `${name} (file)`;
+        select.value = 'custom';
+    }
+
+    /**
+     * Show a description of the current system, or a load error
+     */
+    setSystemStatus(text, isError = false) {
+        if (!this.elements.systemStatus) return;
+        
+        this.elements.systemStatus.textContent = text;
+        this.elements.systemStatus.classList.toggle('error', isError);
+    }
+
     /**
      * Setup animation control event listeners
      */
     setupAnimationControls() {
-        // Global speed control
+        // Time scale presets
+        if (this.elements.timeScaleSelect) {
+            this.elements.timeScaleSelect.addEventListener('change', (e) => {
+                this.setTimeScale(e.target.value);
+            });
+        }
+
+        // Global speed control (signed rate multiplier)
         if (this.elements.globalSpeedSlider) {
             this.elements.globalSpeedSlider.addEventListener('input', (e) => {
-                const speed = parseFloat(e.target.value);
-                this.solarSystem.setGlobalSpeed(speed);
-                this.elements.globalSpeedValue.textContent = `${speed.toFixed(1)}x`;
+                this.setGlobalSpeed(parseFloat(e.target.value));
+            });
+        }
+
+        // Step buttons
+        if (this.elements.stepBackBtn) {
+            this.elements.stepBackBtn.addEventListener('click', () => {
+                this.stepTime(-1);
+            });
+        }
+
+        if (this.elements.stepForwardBtn) {
+            this.elements.stepForwardBtn.addEventListener('click', () => {
+                this.stepTime(1);
+            });
+        }
+
+        // Reverse playback
+        if (this.elements.reverseBtn) {
+            this.elements.reverseBtn.addEventListener('click', () => {
+                this.toggleReverse();
+            });
+        }
+
+        // Jump to date
+        if (this.elements.jumpDateBtn) {
+            this.elements.jumpDateBtn.addEventListener('click', () => {
+                this.jumpToDate(this.elements.jumpDateInput?.value);
+            });
+        }
+
+        if (this.elements.jumpDateInput) {
+            this.elements.jumpDateInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.jumpToDate(e.target.value);
+                }
+            });
+        }
+
+        // Now button
+        if (this.elements.nowBtn) {
+            this.elements.nowBtn.addEventListener('click', () => {
+                this.jumpToNow();
             });
         }
 
@@ -105,23 +360,643 @@ export class UIController {
     }
 
     /**
-     * Setup planet control event listeners
+     * Setup physics control event listeners
      */
-    setupPlanetControls() {
-        const planets = ['mercury', 'venus', 'earth', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune'];
+    setupPhysicsControls() {
+        // N-body mode toggle
+        if (this.elements.physicsModeCheck) {
+            this.elements.physicsModeCheck.addEventListener('change', (e) => {
+                this.solarSystem.setPhysicsMode(e.target.checked);
+            });
+        }
+
+        // Add rogue mass (switches physics on if needed)
+        if (this.elements.addRogueBtn) {
+            this.elements.addRogueBtn.addEventListener('click', () => {
+                const mass = parseFloat(this.elements.rogueMassSelect?.value || '0.00954588');
+                this.solarSystem.addRogueMass(mass);
+                
+                if (this.elements.physicsModeCheck) {
+                    this.elements.physicsModeCheck.checked = true;
+                }
+            });
+        }
+    }
+
+    /**
+     * Show the N-body energy drift, or a dash when physics is off
+     */
+    updateEnergyDrift() {
+        if (!this.elements.energyDriftValue) return;
+
+        const drift = this.solarSystem.getEnergyDrift();
+        this.elements.energyDriftValue.textContent = drift === null ? '—' : drift.toExponential(2);
+    }
+
+    /**
+     * Setup the search for eclipses, transits, occultations and planet alignments
+     */
+    setupEventControls() {
+        this.defaultEventStatus = this.elements.eventStatus?.textContent || '';
+        this.setupEventObservers();
         
-        planets.forEach(planet => {
-            const slider = this.elements[`${planet}SpeedSlider`];
-            const value = this.elements[`${planet}SpeedValue`];
-            
-            if (slider && value) {
-                slider.addEventListener('input', (e) => {
-                    const speed = parseFloat(e.target.value);
-                    const planetName = planet.charAt(0).toUpperCase() + planet.slice(1);
-                    this.solarSystem.setPlanetSpeed(planetName, speed);
-                    value.textContent = `${speed.toFixed(1)}x`;
+        // Conjunction and parade limits only apply to their own searches
+        if (this.elements.eventTypesSelect) {
+            this.elements.eventTypesSelect.addEventListener('change', (e) => {
+                this.showAlignmentOptions(e.target.value);
+            });
+        }
+        
+        if (this.elements.findEventsBtn) {
+            this.elements.findEventsBtn.addEventListener('click', () => {
+                this.findEvents();
+            });
+        }
+    }
+
+    /**
+     * Offer every planet of the current system as an observer, preferring Earth, and clear old results
+     */
+    setupEventObservers() {
+        const select = this.elements.eventObserverSelect;
+        
+        if (select) {
+            select.replaceChildren();
+            this.solarSystem.planets.forEach(planet => {
+                select.add(new Option(planet.name, planet.name));
+            });
+            if (this.solarSystem.planets.some(planet => planet.name === 'Earth')) {
+                select.value = 'Earth';
+            }
+        }
+        
+        this.elements.eventList?.replaceChildren();
+        this.setEventStatus(this.defaultEventStatus);
+    }
+
+    /**
+     * Offer the Lagrange point pairs of the current system, grouped into planets and moons, with none shown
+     */
+    setupLagrangePairs() {
+        const select = this.elements.lagrangePairSelect;
+        if (!select) return;
+        
+        select.replaceChildren(new Option('None', ''));
+        const pairs = this.solarSystem.getLagrangePairs();
+        
+        const groups = [
+            ['Planets', pairs.filter(pair => !pair.secondary.userData.isMoon)],
+            ['Moons', pairs.filter(pair => pair.secondary.userData.isMoon)]
+        ];
+        
+        groups
+            .filter(([, group]) => group.length > 0)
+            .forEach(([label, group]) => {
+                const optgroup = document.createElement('optgroup');
+                optgroup.label = label;
+                group.forEach(pair => {
+                    optgroup.append(new Option(`${pair.primaryName}–${pair.secondary.name}`, pair.secondary.name));
+                });
+                select.append(optgroup);
+            });
+        
+        select.value = '';
+        this.solarSystem.setLagrangePair(null);
+    }
+
+    /**
+     * Show the conjunction and parade limits when the chosen filter searches for them
+     */
+    showAlignmentOptions(filter) {
+        const { search, types } = EVENT_FILTERS[filter] || EVENT_FILTERS.all;
+        const searches = (type) => search === 'alignments' && (!types || types.includes(type));
+        
+        if (this.elements.conjunctionOptions) {
+            this.elements.conjunctionOptions.hidden = !searches('conjunction');
+        }
+        
+        if (this.elements.paradeOptions) {
+            this.elements.paradeOptions.hidden = !searches('parade');
+        }
+    }
+
+    /**
+     * Search the chosen range for events and list them
+     */
+    findEvents() {
+        const observer = this.elements.eventObserverSelect?.value;
+        if (!observer) return;
+        
+        // Default to the next few years from the simulation date
+        const today = SimulationClock.formatJulianDate(this.solarSystem.getJulianDate()).slice(0, 10);
+        if (this.elements.eventStartInput && !this.elements.eventStartInput.value) {
+            this.elements.eventStartInput.value = today;
+        }
+        if (this.elements.eventEndInput && !this.elements.eventEndInput.value) {
+            const year = Number(today.slice(0, 4)) + DEFAULT_EVENT_YEARS;
+            this.elements.eventEndInput.value = `${String(year).padStart(4, '0')}${today.slice(4)}`;
+        }
+        
+        const start = new Date(`${this.elements.eventStartInput?.value || today}T00:00Z`);
+        const end = new Date(`${this.elements.eventEndInput?.value || today}T00:00Z`);
+        if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+            this.setEventStatus('Choose an end date after the start date.', true);
+            return;
+        }
+        
+        const { search, types } = EVENT_FILTERS[this.elements.eventTypesSelect?.value] || EVENT_FILTERS.all;
+        
+        this.setEventStatus('Searching…');
+        this.elements.eventList?.replaceChildren();
+        
+        // Let the status show before the search blocks the page
+        setTimeout(() => {
+            const { events, searchedUntil } = search === 'alignments'
+                ? this.solarSystem.findAlignments(observer, start, end, {
+                    types,
+                    conjunctionLimit: parseFloat(this.elements.conjunctionLimitInput?.value) || undefined,
+                    paradeSize: parseInt(this.elements.paradeSizeSelect?.value, 10) || undefined,
+                    paradeSpan: parseFloat(this.elements.paradeSpanInput?.value) || undefined
+                })
+                : this.solarSystem.findEvents(observer, start, end, types);
+            this.showEvents(events);
+            
+            let status = `${events.length} event${events.length === 1 ? '' : 's'} seen from ${observer}.`;
+            if (searchedUntil < SimulationClock.dateToJulian(end)) {
+                status += ` The search stopped at ${SimulationClock.formatJulianDate(searchedUntil)}; narrow the range or the events to see more.`;
+            }
+            this.setEventStatus(`${status} Times follow the simulation's mean orbits.`);
+            this.announceToScreenReader(`${events.length} events found`);
+        }, 20);
+    }
+
+    /**
+     * List events as buttons that jump the simulation to their peak
+     */
+    showEvents(events) {
+        const list = this.elements.eventList;
+        if (!list) return;
+        
+        list.replaceChildren(...events.map(event => {
+            const { title, detail } = UIController.describeEvent(event);
+            const start = SimulationClock.formatJulianDate(event.start);
+            const peak = SimulationClock.formatJulianDate(event.peak);
+            const end = SimulationClock.formatJulianDate(event.end);
+            
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'event-item';
+            
+            const titleText = document.createElement('span');
+            titleText.className = 'event-title';
+            titleText.textContent = title;
+            
+            const detailText = document.createElement('span');
+            detailText.className = 'event-detail';
+            detailText.textContent = detail;
+            
+            // Contact times drop the date when it is the peak's
+            const time = (value) => value.slice(0, 10) === peak.slice(0, 10) ? value.slice(11) : value;
+            const timeText = document.createElement('span');
+            timeText.className = 'event-time';
+            timeText.textContent = event.start === undefined ? peak : `${peak} (${time(start)} – ${time(end)})`;
+            
+            button.append(titleText, detailText, timeText);
+            button.addEventListener('click', () => {
+                this.viewEvent(event);
+            });
+            
+            const item = document.createElement('li');
+            item.append(button);
+            return item;
+        }));
+    }
+
+    /**
+     * Pause at an event's peak and point the camera from its observer at it
+     */
+    viewEvent(event) {
+        if (this.isPlaying) {
+            this.togglePlayPause();
+        }
+        
+        this.solarSystem.setDate(SimulationClock.julianToDate(event.peak));
+        this.solarSystem.viewEvent(event);
+        
+        const { title, detail } = UIController.describeEvent(event);
+        this.announceToScreenReader(`${title}: ${detail}, ${SimulationClock.formatJulianDate(event.peak)} UTC`);
+    }
+
+    /**
+     * Show the state of the event search, or a problem with its range
+     */
+    setEventStatus(text, isError = false) {
+        if (!this.elements.eventStatus) return;
+        
+        this.elements.eventStatus.textContent = text;
+        this.elements.eventStatus.classList.toggle('error', isError);
+    }
+
+    /**
+     * Setup the Hohmann transfer planner
+     */
+    setupTransferControls() {
+        this.defaultTransferStatus = this.elements.transferStatus?.textContent || '';
+        this.setupTransferPlanets();
+        
+        if (this.elements.planTransferBtn) {
+            this.elements.planTransferBtn.addEventListener('click', () => {
+                this.planTransfer();
+            });
+        }
+        
+        if (this.elements.launchTransferBtn) {
+            this.elements.launchTransferBtn.addEventListener('click', () => {
+                this.goToLaunch();
+            });
+        }
+        
+        if (this.elements.clearTransferBtn) {
+            this.elements.clearTransferBtn.addEventListener('click', () => {
+                this.clearTransfer();
+            });
+        }
+    }
+
+    /**
+     * Offer every planet of the current system for departure and arrival, preferring Earth to Mars, and clear the old transfer
+     */
+    setupTransferPlanets() {
+        const names = this.solarSystem.planets.map(planet => planet.name);
+        const choices = [
+            [this.elements.transferFromSelect, 'Earth', 0],
+            [this.elements.transferToSelect, 'Mars', 1]
+        ];
+        
+        choices.forEach(([select, preferred, index]) => {
+            if (!select) return;
+            
+            select.replaceChildren(...names.map(name => new Option(name, name)));
+            select.value = names.includes(preferred) ? preferred : (names[index] ?? '');
+        });
+        
+        this.clearTransfer();
+    }
+
+    /**
+     * Plan a transfer between the chosen planets from the simulation date and describe it
+     */
+    planTransfer() {
+        const from = this.elements.transferFromSelect?.value;
+        const to = this.elements.transferToSelect?.value;
+        if (!from || !to) return;
+        
+        if (from === to) {
+            this.setTransferStatus('Choose two different planets.', true);
+            return;
+        }
+        
+        try {
+            this.transfer = this.solarSystem.planTransfer(from, to);
+            
+            if (this.transfer) {
+                this.setTransferStatus(UIController.describeTransfer(this.transfer));
+                this.announceToScreenReader(`Transfer from ${from} to ${to} planned`);
+            } else {
+                this.setTransferStatus(`${from} and ${to} never line up for a transfer.`, true);
+            }
+        } catch (error) {
+            this.transfer = null;
+            this.setTransferStatus(error.message, true);
+        }
+        
+        this.updateTransferButtons();
+    }
+
+    /**
+     * Jump the simulation to the launch of the planned transfer
+     */
+    goToLaunch() {
+        if (!this.transfer) return;
+        
+        this.solarSystem.setDate(SimulationClock.julianToDate(this.transfer.departureJulian));
+        this.announceToScreenReader(`Launch from ${this.transfer.departure}, ${SimulationClock.formatJulianDate(this.transfer.departureJulian)} UTC`);
+    }
+
+    /**
+     * Remove the planned transfer
+     */
+    clearTransfer() {
+        this.transfer = null;
+        this.solarSystem.clearTransfer();
+        this.setTransferStatus(this.defaultTransferStatus);
+        this.updateTransferButtons();
+    }
+
+    /**
+     * Enable the launch and clear buttons while a transfer is planned
+     */
+    updateTransferButtons() {
+        [this.elements.launchTransferBtn, this.elements.clearTransferBtn].forEach(button => {
+            if (button) {
+                button.disabled = !this.transfer;
+            }
+        });
+    }
+
+    /**
+     * Show the planned transfer, or why none could be planned
+     */
+    setTransferStatus(text, isError = false) {
+        if (!this.elements.transferStatus) return;
+        
+        this.elements.transferStatus.textContent = text;
+        this.elements.transferStatus.classList.toggle('error', isError);
+    }
+
+    /**
+     * Launch date, phase angle, flight time and delta-v of a planned transfer (see TransferPlanner)
+     */
+    static describeTransfer(transfer) {
+        const date = (julian) => SimulationClock.formatJulianDate(julian).slice(0, 10);
+        const phase = (angle) => `${Math.abs(angle).toFixed(1)}° ${angle < 0 ? 'behind' : 'ahead'}`;
+        const speed = (deltaV) => `${deltaV.toFixed(2)} km/s`;
+        
+        return `Leave ${transfer.departure} on ${date(transfer.departureJulian)}, when ${transfer.arrival} is ` +
+            `${phase(transfer.requiredPhaseAngle)} (now ${phase(transfer.phaseAngle)}), and arrive ` +
+            `${date(transfer.arrivalJulian)} after ${Math.round(transfer.transferTime)} days. ` +
+            `Delta-v: ${speed(transfer.departureDeltaV)} to leave the orbit of ${transfer.departure} and ` +
+            `${speed(transfer.arrivalDeltaV)} to match the orbit of ${transfer.arrival}, ${speed(transfer.totalDeltaV)} in all.`;
+    }
+
+    /**
+     * Setup spacecraft mission playback
+     */
+    setupMissionControls() {
+        this.defaultMissionStatus = this.elements.missionStatus?.textContent || '';
+        this.setupMissions();
+        
+        if (this.elements.showMissionsCheck) {
+            this.elements.showMissionsCheck.addEventListener('change', (e) => {
+                this.solarSystem.updateVisualSettings({ showMissions: e.target.checked });
+            });
+        }
+        
+        if (this.elements.missionSelect) {
+            this.elements.missionSelect.addEventListener('change', () => {
+                this.updateMissionTimeline();
+            });
+        }
+        
+        if (this.elements.followMissionBtn) {
+            this.elements.followMissionBtn.addEventListener('click', () => {
+                this.followMission();
+            });
+        }
+    }
+
+    /**
+     * Offer the missions of the current system and show the first one's timeline
+     */
+    setupMissions() {
+        const missions = this.solarSystem.getMissions();
+        
+        if (this.elements.missionSelect) {
+            this.elements.missionSelect.replaceChildren(...missions.map(mission => new Option(mission.name, mission.name)));
+            this.elements.missionSelect.disabled = missions.length === 0;
+        }
+        
+        if (this.elements.followMissionBtn) {
+            this.elements.followMissionBtn.disabled = missions.length === 0;
+        }
+        
+        this.updateMissionTimeline();
+    }
+
+    /**
+     * Mission chosen in the mission selector, or null when the system has none
+     */
+    getSelectedMission() {
+        const name = this.elements.missionSelect?.value;
+        return this.solarSystem.getMissions().find(mission => mission.name === name) || null;
+    }
+
+    /**
+     * Show the chosen mission's events along its timeline, where the simulation date falls and what happens next
+     */
+    updateMissionTimeline() {
+        const mission = this.getSelectedMission();
+        const track = this.elements.missionTimelineTrack;
+        const date = (julian) => SimulationClock.formatJulianDate(julian).slice(0, 10);
+        
+        if (!mission) {
+            this.timelineMission = null;
+            track?.replaceChildren();
+            [this.elements.missionTimelineStart, this.elements.missionTimelineEnd].forEach(label => {
+                if (label) {
+                    label.textContent = '';
+                }
+            });
+            this.setMissionStatus(this.solarSystem.getMissions().length > 0 ? this.defaultMissionStatus : 'This system has no spacecraft missions.');
+            return;
+        }
+        
+        // Coasting missions can have events after their last sample
+        const eventDates = mission.events.map(event => event.julian);
+        const start = Math.min(mission.startJulian, ...eventDates);
+        const end = Math.max(mission.endJulian, ...eventDates);
+        const place = (julian) => `${((julian - start) / (end - start) * 100).toFixed(2)}%`;
+        const julian = this.solarSystem.getJulianDate();
+        
+        if (track) {
+            // Rebuild the markers when another mission is chosen, otherwise just move the cursor
+            if (this.timelineMission !== mission) {
+                const markers = mission.events.map(event => {
+                    const marker = document.createElement('button');
+                    marker.type = 'button';
+                    marker.className = 'mission-event';
+                    marker.style.left = place(event.julian);
+                    marker.title = `${event.name} · ${date(event.julian)}`;
+                    marker.setAttribute('aria-label', marker.title);
+                    marker.addEventListener('click', () => {
+                        this.goToMissionEvent(event);
+                    });
+                    return marker;
                 });
+                
+                const cursor = document.createElement('span');
+                cursor.className = 'mission-timeline-cursor';
+                track.replaceChildren(...markers, cursor);
+            }
+            
+            mission.events.forEach((event, index) => {
+                track.children[index].classList.toggle('passed', event.julian <= julian);
+            });
+            
+            const cursor = track.lastElementChild;
+            cursor.hidden = julian < start || julian > end;
+            cursor.style.left = place(Math.min(Math.max(julian, start), end));
+        }
+        
+        if (this.timelineMission !== mission) {
+            if (this.elements.missionTimelineStart) {
+                this.elements.missionTimelineStart.textContent = date(start);
             }
+            if (this.elements.missionTimelineEnd) {
+                this.elements.missionTimelineEnd.textContent = date(end);
+            }
+            if (this.elements.missionStatus) {
+                this.elements.missionStatus.title = mission.source;
+            }
+            this.timelineMission = mission;
+        }
+        
+        this.setMissionStatus(UIController.describeMission(mission, julian));
+    }
+
+    /**
+     * Jump the simulation to an event of the chosen mission and follow its spacecraft
+     */
+    goToMissionEvent(event) {
+        this.solarSystem.setDate(SimulationClock.julianToDate(event.julian));
+        this.followMission();
+        this.announceToScreenReader(`${event.name}, ${SimulationClock.formatJulianDate(event.julian)} UTC`);
+    }
+
+    /**
+     * Show the missions and follow the chosen mission's spacecraft with the camera
+     */
+    followMission() {
+        const mission = this.getSelectedMission();
+        if (!mission) return;
+        
+        if (this.elements.showMissionsCheck) {
+            this.elements.showMissionsCheck.checked = true;
+        }
+        this.solarSystem.followMission(mission.name);
+        this.updateMissionTimeline();
+    }
+
+    /**
+     * Show where the chosen mission is, or why its spacecraft is not flying
+     */
+    setMissionStatus(text) {
+        if (this.elements.missionStatus) {
+            this.elements.missionStatus.textContent = text;
+        }
+    }
+
+    /**
+     * Launch, end, or distance from the Sun and next event of a mission at a Julian date (see MissionTrajectory)
+     */
+    static describeMission(mission, julian) {
+        const date = (value) => SimulationClock.formatJulianDate(value).slice(0, 10);
+        
+        if (julian < mission.startJulian) {
+            return `${mission.name} launches on ${date(mission.startJulian)}.`;
+        }
+        if (!mission.isActive(julian)) {
+            return `${mission.name} ended on ${date(mission.endJulian)}.`;
+        }
+        
+        const day = Math.floor(julian - mission.startJulian) + 1;
+        const distance = mission.getPosition(julian).length();
+        const next = mission.getNextEvent(julian);
+        const last = mission.getLastEvent(julian);
+        let event = '';
+        if (next) {
+            event = ` Next: ${next.name} on ${date(next.julian)}.`;
+        } else if (last) {
+            event = ` Last: ${last.name} on ${date(last.julian)}.`;
+        }
+        
+        return `Day ${day.toLocaleString('en-US')} of ${mission.name}, ${distance.toFixed(2)} AU from the Sun.${event}`;
+    }
+
+    /**
+     * Headline and one-line explanation of an event (see EventPredictor and AlignmentFinder)
+     */
+    static describeEvent(event) {
+        const kind = event.kind ? event.kind.charAt(0).toUpperCase() + event.kind.slice(1) : '';
+        const star = event.star === 'Sun' ? 'the Sun' : event.star;
+        const degrees = (angle) => `${angle.toFixed(1)}°`;
+        
+        switch (event.type) {
+            case 'conjunction':
+                return {
+                    title: `Conjunction of ${event.bodies[0]} and ${event.bodies[1]}`,
+                    detail: `${degrees(event.separation)} apart, ${degrees(event.elongation)} from ${star}`
+                };
+            case 'opposition':
+                return { title: `Opposition of ${event.target}`, detail: `Opposite ${star}, in the sky all night` };
+            case 'elongation':
+                return {
+                    title: `Greatest ${event.side === 'east' ? 'eastern' : 'western'} elongation of ${event.target}`,
+                    detail: `${degrees(event.elongation)} ${event.side} of ${star}, in the ${event.side === 'east' ? 'evening' : 'morning'} sky`
+                };
+            case 'parade':
+                return {
+                    title: `Parade of ${event.bodies.length} planets`,
+                    detail: `${event.bodies.join(', ')} within ${degrees(event.span)}`
+                };
+            case 'solar-eclipse':
+                return { title: `${kind} solar eclipse`, detail: `${event.occulter} in front of ${event.target}` };
+            case 'lunar-eclipse':
+                return { title: `${kind} lunar eclipse`, detail: `${event.target} in the shadow of ${event.occulter}` };
+            case 'transit':
+                return { title: `Transit of ${event.occulter}`, detail: `${event.occulter} in front of ${event.target}` };
+            default:
+                return { title: `Occultation of ${event.target}`, detail: `${event.occulter} in front of ${event.target}` };
+        }
+    }
+
+    /**
+     * Build a speed slider for every planet and dwarf planet in the catalog
+     */
+    setupPlanetControls() {
+        const container = this.elements.planetSpeedControls;
+        const planets = this.solarSystem.planets;
+        
+        this.planetSpeedSliders = [];
+        
+        if (this.elements.planetCountValue) {
+            this.elements.planetCountValue.textContent = planets.filter(planet => planet.userData.type === 'planet').length;
+        }
+        
+        if (!container) return;
+        container.replaceChildren();
+        
+        planets.forEach(planet => {
+            const id = `${planet.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-speed`;
+            
+            const item = document.createElement('div');
+            item.className = 'control-item';
+            
+            const label = document.createElement('label');
+            label.htmlFor = id;
+            label.textContent = planet.name;
+            
+            const sliderContainer = document.createElement('div');
+            sliderContainer.className = 'slider-container';
+            
+            const slider = document.createElement('input');
+            Object.assign(slider, { type: 'range', id, min: '0', max: '3', step: '0.1', value: '1', className: 'slider' });
+            
+            const value = document.createElement('span');
+            value.className = 'slider-value';
+            value.id = `${id}-value`;
+            value.textContent = '1.0x';
+            
+            slider.addEventListener('input', (e) => {
+                const speed = parseFloat(e.target.value);
+                this.solarSystem.setPlanetSpeed(planet.name, speed);
+                value.textContent = `${speed.toFixed(1)}x`;
+            });
+            
+            sliderContainer.append(slider, value);
+            item.append(label, sliderContainer);
+            container.append(item);
+            this.planetSpeedSliders.push({ slider, value });
         });
     }
 
@@ -129,6 +1004,28 @@ export class UIController {
      * Setup visual control event listeners
      */
     setupVisualControls() {
+        // Distance and size scale mode
+        if (this.elements.scaleModeSelect) {
+            this.elements.scaleModeSelect.addEventListener('change', (e) => {
+                this.setScaleMode(e.target.value);
+            });
+        }
+        this.updateScaleBar();
+
+        // Procedural texture resolution
+        if (this.elements.textureQualitySelect) {
+            this.elements.textureQualitySelect.addEventListener('change', (e) => {
+                this.solarSystem.setTextureQuality(e.target.value);
+            });
+        }
+
+        // Animated star surfaces, corona and lens flare (off for low-end machines)
+        if (this.elements.sunEffectsCheck) {
+            this.elements.sunEffectsCheck.addEventListener('change', (e) => {
+                this.solarSystem.updateVisualSettings({ showSunEffects: e.target.checked });
+            });
+        }
+
         // Show orbits toggle
         if (this.elements.showOrbitsCheck) {
             this.elements.showOrbitsCheck.addEventListener('change', (e) => {
@@ -136,6 +1033,28 @@ export class UIController {
             });
         }
 
+        // Show motion trails toggle
+        if (this.elements.showTrailsCheck) {
+            this.elements.showTrailsCheck.addEventListener('change', (e) => {
+                this.solarSystem.updateVisualSettings({ showTrails: e.target.checked });
+            });
+        }
+
+        // Time over which motion trails fade
+        if (this.elements.trailLengthSelect) {
+            this.elements.trailLengthSelect.addEventListener('change', (e) => {
+                this.solarSystem.setTrailLength(TRAIL_LENGTHS[e.target.value] ?? TRAIL_LENGTHS[DEFAULT_TRAIL_LENGTH]);
+            });
+        }
+
+        // Lagrange points of a planet and its star, or of a moon and its planet
+        if (this.elements.lagrangePairSelect) {
+            this.setupLagrangePairs();
+            this.elements.lagrangePairSelect.addEventListener('change', (e) => {
+                this.solarSystem.setLagrangePair(e.target.value || null);
+            });
+        }
+
         // Show labels toggle
         if (this.elements.showLabelsCheck) {
             this.elements.showLabelsCheck.addEventListener('change', (e) => {
@@ -143,6 +1062,20 @@ export class UIController {
             });
         }
 
+        // Show rotation axes toggle
+        if (this.elements.showAxesCheck) {
+            this.elements.showAxesCheck.addEventListener('change', (e) => {
+                this.solarSystem.updateVisualSettings({ showAxes: e.target.checked });
+            });
+        }
+
+        // Show asteroid and Kuiper belts toggle
+        if (this.elements.showBeltsCheck) {
+            this.elements.showBeltsCheck.addEventListener('change', (e) => {
+                this.solarSystem.updateVisualSettings({ showBelts: e.target.checked });
+            });
+        }
+
         // Show stars toggle
         if (this.elements.showStarsCheck) {
             this.elements.showStarsCheck.addEventListener('change', (e) => {
@@ -150,6 +1083,49 @@ export class UIController {
             });
         }
 
+        // Faintest background stars shown
+        if (this.elements.starMagnitudeSlider) {
+            this.elements.starMagnitudeSlider.addEventListener('input', (e) => {
+                this.setStarMagnitudeLimit(parseFloat(e.target.value));
+            });
+            this.setStarMagnitudeLimit(parseFloat(this.elements.starMagnitudeSlider.value));
+        }
+
+        // Show constellation stick figures toggle
+        if (this.elements.showConstellationsCheck) {
+            this.elements.showConstellationsCheck.addEventListener('change', (e) => {
+                this.solarSystem.updateVisualSettings({ showConstellations: e.target.checked });
+            });
+        }
+
+        // Show constellation names toggle
+        if (this.elements.showConstellationNamesCheck) {
+            this.elements.showConstellationNamesCheck.addEventListener('change', (e) => {
+                this.solarSystem.updateVisualSettings({ showConstellationNames: e.target.checked });
+            });
+        }
+
+        // Show RA/Dec grid toggle
+        if (this.elements.showSkyGridCheck) {
+            this.elements.showSkyGridCheck.addEventListener('change', (e) => {
+                this.solarSystem.updateVisualSettings({ showSkyGrid: e.target.checked });
+            });
+        }
+
+        // Show ecliptic toggle
+        if (this.elements.showEclipticCheck) {
+            this.elements.showEclipticCheck.addEventListener('change', (e) => {
+                this.solarSystem.updateVisualSettings({ showEcliptic: e.target.checked });
+            });
+        }
+
+        // Show celestial equator toggle
+        if (this.elements.showCelestialEquatorCheck) {
+            this.elements.showCelestialEquatorCheck.addEventListener('change', (e) => {
+                this.solarSystem.updateVisualSettings({ showCelestialEquator: e.target.checked });
+            });
+        }
+
         // Dark mode toggle
         if (this.elements.darkModeCheck) {
             this.elements.darkModeCheck.addEventListener('change', (e) => {
@@ -159,6 +1135,64 @@ export class UIController {
         }
     }
 
+    /**
+     * Switch the scale mode and follow the transition on the scale bar
+     */
+    setScaleMode(mode) {
+        this.solarSystem.setScaleMode(mode);
+        
+        if (this.elements.scaleModeSelect) {
+            this.elements.scaleModeSelect.value = mode;
+        }
+        
+        const followTransition = () => {
+            if (this.updateScaleBar().transitioning) {
+                requestAnimationFrame(followTransition);
+            }
+        };
+        followTransition();
+    }
+
+    /**
+     * Show the current scale mode, where each reference orbit falls on the bar, and what the mapping means
+     */
+    updateScaleBar() {
+        const scaleBar = this.solarSystem.getScaleBar();
+        const track = this.elements.scaleBarTrack;
+        
+        if (this.elements.scaleBarMode) {
+            this.elements.scaleBarMode.textContent = scaleBar.label;
+        }
+        
+        if (this.elements.scaleBarDescription) {
+            this.elements.scaleBarDescription.textContent = scaleBar.description;
+        }
+        
+        const outer = scaleBar.ticks[scaleBar.ticks.length - 1];
+        if (this.elements.scaleBarEnd) {
+            this.elements.scaleBarEnd.textContent = outer ? `${outer.name} · ${Number(outer.semiMajorAxis.toPrecision(3))} AU` : '';
+        }
+        
+        if (track) {
+            // Rebuild the ticks when the system changes, otherwise just move them
+            if (track.children.length !== scaleBar.ticks.length) {
+                track.replaceChildren(...scaleBar.ticks.map(() => {
+                    const tick = document.createElement('span');
+                    tick.className = 'scale-bar-tick';
+                    return tick;
+                }));
+            }
+            
+            scaleBar.ticks.forEach((data, index) => {
+                const tick = track.children[index];
+                tick.style.left = `${(data.position * 100).toFixed(2)}%`;
+                tick.title = `${data.name} · ${Number(data.semiMajorAxis.toPrecision(3))} AU`;
+            });
+        }
+        
+        return scaleBar;
+    }
+
     /**
      * Setup camera control event listeners
      */
@@ -232,6 +1266,124 @@ export class UIController {
         }, 150);
     }
 
+    /**
+     * Apply a time-scale preset by unit name (e.g. 'day' for 1 sec = 1 day)
+     */
+    setTimeScale(unit) {
+        if (!TIME_UNITS[unit]) {
+            console.warn(`Unknown time scale: ${unit}`);
+            return;
+        }
+
+        this.timeScaleUnit = unit;
+        this.solarSystem.setTimeScale(TIME_UNITS[unit]);
+
+        if (this.elements.timeScaleSelect) {
+            this.elements.timeScaleSelect.value = unit;
+        }
+    }
+
+    /**
+     * Move to the next slower (-1) or faster (+1) time-scale preset
+     */
+    cycleTimeScale(direction) {
+        const index = TIME_SCALE_PRESETS.indexOf(this.timeScaleUnit || DEFAULT_TIME_SCALE);
+        const nextIndex = Math.min(Math.max(index + direction, 0), TIME_SCALE_PRESETS.length - 1);
+        const unit = TIME_SCALE_PRESETS[nextIndex];
+
+        this.setTimeScale(unit);
+        this.announceToScreenReader(`Time scale: 1 second equals 1 ${unit}`);
+    }
+
+    /**
+     * Set the signed rate multiplier and update its slider
+     */
+    setGlobalSpeed(speed) {
+        this.solarSystem.setGlobalSpeed(speed);
+
+        if (this.elements.globalSpeedSlider) {
+            this.elements.globalSpeedSlider.value = String(speed);
+            this.elements.globalSpeedValue.textContent = `${speed.toFixed(1)}x`;
+        }
+
+        this.elements.reverseBtn?.classList.toggle('active', speed < 0);
+    }
+
+    /**
+     * Set the faintest magnitude of background star shown and update its slider
+     */
+    setStarMagnitudeLimit(magnitude) {
+        const count = this.solarSystem.setStarMagnitudeLimit(magnitude);
+
+        if (this.elements.starMagnitudeSlider) {
+            this.elements.starMagnitudeSlider.value = String(magnitude);
+            this.elements.starMagnitudeValue.textContent = magnitude.toFixed(1);
+            this.elements.starMagnitudeSlider.title = `${count} stars shown`;
+        }
+    }
+
+    /**
+     * Flip the direction of time
+     */
+    toggleReverse() {
+        const speed = -this.solarSystem.globalSpeed;
+        this.setGlobalSpeed(speed);
+        this.announceToScreenReader(speed < 0 ? 'Playing backwards' : 'Playing forwards');
+    }
+
+    /**
+     * Step the clock by one unit of the current time scale (direction is -1 or +1)
+     */
+    stepTime(direction) {
+        const unit = this.timeScaleUnit || DEFAULT_TIME_SCALE;
+        this.solarSystem.stepTime(direction * TIME_UNITS[unit]);
+    }
+
+    /**
+     * Jump the clock to a value from the date picker, interpreted as UTC
+     */
+    jumpToDate(value) {
+        if (!value) {
+            this.focusDatePicker();
+            return;
+        }
+
+        const date = new Date(`${value}Z`);
+        if (isNaN(date.getTime())) {
+            console.warn(`Invalid date: ${value}`);
+            return;
+        }
+
+        this.solarSystem.setDate(date);
+        this.announceToScreenReader(`Jumped to ${value.replace('T', ' ')} UTC`);
+    }
+
+    /**
+     * Jump the clock to the current moment
+     */
+    jumpToNow() {
+        this.solarSystem.setDate(new Date());
+        this.announceToScreenReader('Jumped to now');
+    }
+
+    /**
+     * Move keyboard focus to the date picker
+     */
+    focusDatePicker() {
+        if (!this.elements.jumpDateInput) return;
+
+        if (this.isPanelCollapsed) {
+            this.toggleControlPanel();
+        }
+        
+        // Start from the current simulation date so small edits are easy
+        if (!this.elements.jumpDateInput.value) {
+            const current = SimulationClock.formatJulianDate(this.solarSystem.getJulianDate());
+            this.elements.jumpDateInput.value = current.replace(' ', 'T');
+        }
+        this.elements.jumpDateInput.focus();
+    }
+
     /**
      * Reset the solar system
      */
@@ -254,36 +1406,88 @@ export class UIController {
      * Reset UI controls to default values
      */
     resetUIToDefaults() {
-        // Reset global speed
-        if (this.elements.globalSpeedSlider) {
-            this.elements.globalSpeedSlider.value = '1';
-            this.elements.globalSpeedValue.textContent = '1.0x';
+        // Reset time controls
+        this.setTimeScale(DEFAULT_TIME_SCALE);
+        this.setGlobalSpeed(1.0);
+        
+        if (this.elements.jumpDateInput) {
+            this.elements.jumpDateInput.value = '';
         }
         
         // Reset planet speeds
-        const planets = ['mercury', 'venus', 'earth', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune'];
-        planets.forEach(planet => {
-            const slider = this.elements[`${planet}SpeedSlider`];
-            const value = this.elements[`${planet}SpeedValue`];
-            
-            if (slider && value) {
-                slider.value = '1';
-                value.textContent = '1.0x';
-            }
+        this.planetSpeedSliders.forEach(({ slider, value }) => {
+            slider.value = '1';
+            value.textContent = '1.0x';
         });
         
+        // Reset physics mode
+        if (this.elements.physicsModeCheck) {
+            this.elements.physicsModeCheck.checked = false;
+        }
+        this.solarSystem.setPhysicsMode(false);
+        
         // Reset visual settings
+        this.setScaleMode(DEFAULT_SCALE_MODE);
+        
         if (this.elements.showOrbitsCheck) {
             this.elements.showOrbitsCheck.checked = true;
         }
         
+        if (this.elements.showTrailsCheck) {
+            this.elements.showTrailsCheck.checked = false;
+        }
+        
+        if (this.elements.lagrangePairSelect) {
+            this.elements.lagrangePairSelect.value = '';
+        }
+        this.solarSystem.setLagrangePair(null);
+        this.clearTransfer();
+        
+        if (this.elements.showMissionsCheck) {
+            this.elements.showMissionsCheck.checked = false;
+        }
+        
+        if (this.elements.trailLengthSelect) {
+            this.elements.trailLengthSelect.value = DEFAULT_TRAIL_LENGTH;
+        }
+        this.solarSystem.setTrailLength(TRAIL_LENGTHS[DEFAULT_TRAIL_LENGTH]);
+        
         if (this.elements.showLabelsCheck) {
             this.elements.showLabelsCheck.checked = true;
         }
         
+        if (this.elements.showAxesCheck) {
+            this.elements.showAxesCheck.checked = false;
+        }
+        
+        if (this.elements.showBeltsCheck) {
+            this.elements.showBeltsCheck.checked = true;
+        }
+        
         if (this.elements.showStarsCheck) {
             this.elements.showStarsCheck.checked = true;
         }
+        this.setStarMagnitudeLimit(DEFAULT_MAGNITUDE_LIMIT);
+        
+        if (this.elements.showConstellationsCheck) {
+            this.elements.showConstellationsCheck.checked = false;
+        }
+        
+        if (this.elements.showConstellationNamesCheck) {
+            this.elements.showConstellationNamesCheck.checked = false;
+        }
+        
+        if (this.elements.showSkyGridCheck) {
+            this.elements.showSkyGridCheck.checked = false;
+        }
+        
+        if (this.elements.showEclipticCheck) {
+            this.elements.showEclipticCheck.checked = false;
+        }
+        
+        if (this.elements.showCelestialEquatorCheck) {
+            this.elements.showCelestialEquatorCheck.checked = false;
+        }
         
         if (this.elements.darkModeCheck) {
             this.elements.darkModeCheck.checked = false;
@@ -291,11 +1495,19 @@ export class UIController {
         }
         
         // Update solar system settings
-        this.solarSystem.setGlobalSpeed(1.0);
         this.solarSystem.updateVisualSettings({
             showOrbits: true,
+            showTrails: false,
             showLabels: true,
+            showAxes: false,
+            showBelts: true,
             showStars: true,
+            showConstellations: false,
+            showConstellationNames: false,
+            showSkyGrid: false,
+            showEcliptic: false,
+            showCelestialEquator: false,
+            showMissions: false,
             darkMode: false
         });
     }
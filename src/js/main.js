@@ -1,6 +1,7 @@
 import { SolarSystem } from './components/SolarSystem.js';
 import { UIController } from './components/UIController.js';
 import { PerformanceMonitor } from './utils/PerformanceMonitor.js';
+import { SimulationClock } from './utils/SimulationClock.js';
 
 /**
  * Main Application Class
@@ -125,6 +126,34 @@ class App {
                 event.preventDefault();
                 this.toggleFullscreen();
                 break;
+            case 'arrowleft':
+                event.preventDefault();
+                this.uiController.stepTime(-1);
+                break;
+            case 'arrowright':
+                event.preventDefault();
+                this.uiController.stepTime(1);
+                break;
+            case '[':
+                event.preventDefault();
+                this.uiController.cycleTimeScale(-1);
+                break;
+            case ']':
+                event.preventDefault();
+                this.uiController.cycleTimeScale(1);
+                break;
+            case 'b':
+                event.preventDefault();
+                this.uiController.toggleReverse();
+                break;
+            case 'n':
+                event.preventDefault();
+                this.uiController.jumpToNow();
+                break;
+            case 'j':
+                event.preventDefault();
+                this.uiController.focusDatePicker();
+                break;
             case 'escape':
                 if (document.fullscreenElement) {
                     document.exitFullscreen();
@@ -156,6 +185,9 @@ class App {
         // Start performance monitoring
         this.performanceMonitor.start((stats) => {
             this.updatePerformanceDisplay(stats);
+            this.updateDateDisplay();
+            this.uiController.updateEnergyDrift();
+            this.uiController.updateMissionTimeline();
         });
         
         console.log('🌟 Solar System started');
@@ -181,6 +213,17 @@ class App {
         }
     }
 
+    /**
+     * Update simulation date display
+     */
+    updateDateDisplay() {
+        const dateElement = document.getElementById('sim-date-value');
+        
+        if (dateElement) {
+            dateElement.textContent = SimulationClock.formatJulianDate(this.solarSystem.getJulianDate());
+        }
+    }
+
     /**
      * Show loading screen
      */
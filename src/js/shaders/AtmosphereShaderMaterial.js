@@ -0,0 +1,137 @@
+import * as THREE from 'three';
+
+/**
+ * Most stars whose light an atmosphere scatters
+ */
+export const MAX_ATMOSPHERE_STARS = 4;
+
+/**
+ * Scattering shell around a planet
+ *
+ * Each fragment integrates along the view ray through the shell, from where it enters to
+ * where it leaves or meets the planet, with density falling off with height. Every sample
+ * is lit by the stars on its side of the planet, turning to `sunsetColor` near the
+ * terminator, so the limb glows on the day side and the night side stays dark.
+ * Star positions and colors are shared uniforms updated once per frame for all planets.
+ */
+export class AtmosphereShaderMaterial extends THREE.ShaderMaterial {
+    constructor(options = {}) {
+        // Vertex shader passing world positions of the shell and the planet's centre and scale
+        const vertexShader = `
+            #include <common>
+            #include <logdepthbuf_pars_vertex>
+
+            varying vec3 vWorldPosition;
+            varying vec3 vCentre;
+            varying float vScale;
+
+            void main() {
+                vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+                vWorldPosition = worldPosition.xyz;
+                vCentre = (modelMatrix * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+                vScale = length(modelMatrix[0].xyz);
+
+                gl_Position = projectionMatrix * viewMatrix * worldPosition;
+
+                #include <logdepthbuf_vertex>
+            }
+        `;
+
+        // Fragment shader integrating the scattered light along the view ray
+        const fragmentShader = `
+            #include <common>
+            #include <logdepthbuf_pars_fragment>
+
+            #define MAX_STARS ${MAX_ATMOSPHERE_STARS}
+            #define STEPS 6
+
+            uniform float radius;
+            uniform float thickness;
+            uniform float density;
+            uniform vec3 scatteringColor;
+            uniform vec3 sunsetColor;
+            uniform vec3 starPositions[MAX_STARS];
+            uniform vec3 starColors[MAX_STARS];
+            uniform int starCount;
+
+            varying vec3 vWorldPosition;
+            varying vec3 vCentre;
+            varying float vScale;
+
+            // Distances along a ray to where it enters and leaves a sphere; x > y when it misses
+            vec2 sphereHits(vec3 origin, vec3 direction, float sphereRadius) {
+                float b = dot(origin, direction);
+                float c = dot(origin, origin) - sphereRadius * sphereRadius;
+                float discriminant = b * b - c;
+                if (discriminant < 0.0) return vec2(1.0, -1.0);
+                float root = sqrt(discriminant);
+                return vec2(-b - root, -b + root);
+            }
+
+            void main() {
+                float innerRadius = radius * vScale;
+                float outerRadius = innerRadius * (1.0 + thickness);
+
+                vec3 origin = cameraPosition - vCentre;
+                vec3 direction = normalize(vWorldPosition - cameraPosition);
+
+                vec2 outer = sphereHits(origin, direction, outerRadius);
+                vec2 inner = sphereHits(origin, direction, innerRadius);
+                float start = max(outer.x, 0.0);
+                float end = inner.x > 0.0 && inner.x < inner.y ? min(outer.y, inner.x) : outer.y;
+                float stepLength = max(end - start, 0.0) / float(STEPS);
+
+                vec3 scattered = vec3(0.0);
+                for (int i = 0; i < STEPS; i++) {
+                    vec3 point = origin + direction * (start + (float(i) + 0.5) * stepLength);
+                    float height = (length(point) - innerRadius) / (outerRadius - innerRadius);
+                    float amount = exp(-height * 4.0) * stepLength / (outerRadius - innerRadius);
+                    vec3 up = normalize(point);
+
+                    for (int s = 0; s < MAX_STARS; s++) {
+                        if (s >= starCount) break;
+
+                        vec3 toStar = normalize(starPositions[s] - vCentre - point);
+                        float sunHeight = dot(up, toStar);
+                        float daylight = smoothstep(-0.2, 0.25, sunHeight);
+                        float sunset = 1.0 - smoothstep(0.0, 0.35, abs(sunHeight - 0.05));
+
+                        // Rayleigh phase function
+                        float cosine = dot(direction, toStar);
+                        float phase = 0.75 * (1.0 + cosine * cosine);
+
+                        vec3 tint = mix(scatteringColor, sunsetColor, sunset);
+                        scattered += amount * daylight * phase * tint * starColors[s];
+                    }
+                }
+
+                gl_FragColor = vec4(1.0 - exp(-scattered * density), 1.0);
+
+                #include <logdepthbuf_fragment>
+                #include <colorspace_fragment>
+            }
+        `;
+
+        const uniforms = {
+            radius: { value: options.radius || 1.0 },
+            thickness: { value: options.thickness || 0.05 },
+            density: { value: options.density || 1.0 },
+            scatteringColor: { value: new THREE.Color(options.color || 0x5b93e6) },
+            sunsetColor: { value: new THREE.Color(options.sunsetColor || options.color || 0xff8040) },
+            starPositions: options.starPositions,
+            starColors: options.starColors,
+            starCount: options.starCount
+        };
+
+        super({
+            vertexShader,
+            fragmentShader,
+            uniforms,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+
+        this.isAtmosphereShaderMaterial = true;
+    }
+}
@@ -0,0 +1,129 @@
+import * as THREE from 'three';
+import { NOISE_GLSL } from './SunShaderMaterial.js';
+
+/**
+ * Corona and prominences around a star, drawn on a camera-facing quad
+ *
+ * The quad (a 2 x 2 plane) is expanded in the vertex shader around the star's centre,
+ * so it always faces the camera and grows with the star's scale. Prominences are
+ * loops at the limb that rise and fade over `prominencePeriod` seconds; only some
+ * periods have one, so they appear occasionally.
+ */
+export class CoronaShaderMaterial extends THREE.ShaderMaterial {
+    constructor(options = {}) {
+        // Vertex shader for the billboard
+        const vertexShader = `
+            #include <common>
+            #include <logdepthbuf_pars_vertex>
+
+            uniform float radius;
+            uniform float extent;
+
+            varying vec2 vOffset;
+
+            void main() {
+                // Offset from the centre in star radii
+                vOffset = position.xy * extent;
+
+                float scale = length(modelMatrix[0].xyz);
+                vec4 mvPosition = modelViewMatrix * vec4(0.0, 0.0, 0.0, 1.0);
+                mvPosition.xy += vOffset * radius * scale;
+                gl_Position = projectionMatrix * mvPosition;
+
+                #include <logdepthbuf_vertex>
+            }
+        `;
+
+        // Fragment shader for the corona glow, its streamers and the prominences
+        const fragmentShader = `
+            #include <common>
+            #include <logdepthbuf_pars_fragment>
+
+            #define PROMINENCES 3
+
+            uniform float time;
+            uniform vec3 starColor;
+            uniform float extent;
+            uniform float prominencePeriod;
+            uniform float seed;
+
+            varying vec2 vOffset;
+
+            ${NOISE_GLSL}
+
+            float hash1(float n) {
+                return fract(sin(n) * 43758.5453);
+            }
+
+            void main() {
+                float r = length(vOffset);
+                if (r < 1.0) discard;
+
+                float angle = atan(vOffset.y, vOffset.x);
+                vec2 direction = vOffset / r;
+
+                // Corona: brightness falls steeply from the limb, broken into streamers
+                float streamers = 0.55 + 0.45 * fbm(vec3(direction * 2.5, time * 0.01 + seed));
+                float corona = exp(-(r - 1.0) * 3.0) * streamers;
+                corona += 0.25 * exp(-(r - 1.0) * 0.8) * streamers * streamers;
+                corona *= 1.0 - smoothstep(extent * 0.6, extent, r);
+
+                // Prominences: arcs anchored on the surface at both ends
+                float prominence = 0.0;
+                for (int i = 0; i < PROMINENCES; i++) {
+                    float cycle = time / prominencePeriod + float(i) * 0.37;
+                    float id = floor(cycle) * 7.13 + float(i) * 17.0 + seed;
+                    float life = fract(cycle);
+
+                    if (hash1(id) < 0.5) continue;
+
+                    float centre = hash1(id + 1.0) * PI2;
+                    float halfWidth = 0.12 + 0.15 * hash1(id + 2.0);
+                    float height = (0.12 + 0.25 * hash1(id + 3.0)) * sin(PI * life);
+
+                    float d = mod(angle - centre + PI, PI2) - PI;
+                    if (abs(d) < halfWidth) {
+                        float along = d / halfWidth;
+                        float arch = height * sqrt(1.0 - along * along);
+                        float thickness = 0.02 + 0.02 * valueNoise(vec3(along * 6.0, time * 0.3, id));
+                        float gap = (r - 1.0) - arch;
+                        prominence += exp(-gap * gap / (thickness * thickness)) * sin(PI * life);
+                    }
+                }
+
+                vec3 color = starColor * corona * 0.6 + vec3(1.0, 0.35, 0.25) * prominence;
+                gl_FragColor = vec4(color, 1.0);
+
+                #include <logdepthbuf_fragment>
+                #include <colorspace_fragment>
+            }
+        `;
+
+        const uniforms = {
+            time: { value: 0.0 },
+            starColor: { value: options.starColor ? options.starColor.clone() : new THREE.Color(0xffdd44) },
+            radius: { value: options.radius || 1.0 },
+            extent: { value: options.extent || 4.0 },
+            prominencePeriod: { value: options.prominencePeriod || 40.0 },
+            seed: { value: options.seed || 0.0 }
+        };
+
+        super({
+            vertexShader,
+            fragmentShader,
+            uniforms,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+
+        this.isCoronaShaderMaterial = true;
+    }
+
+    /**
+     * Update time uniform for animation
+     */
+    updateTime(time) {
+        this.uniforms.time.value = time;
+    }
+}
@@ -7,6 +7,9 @@ export class ParticleShaderMaterial extends THREE.ShaderMaterial {
     constructor(options = {}) {
         // Vertex shader for particle positioning and sizing
         const vertexShader = `
+            #include <common>
+            #include <logdepthbuf_pars_vertex>
+            
             attribute float size;
             attribute float phase;
             
@@ -29,11 +32,15 @@ export class ParticleShaderMaterial extends THREE.ShaderMaterial {
                 
                 gl_PointSize = size * globalSize * sizeFactor * distanceFactor * 100.0;
                 gl_Position = projectionMatrix * mvPosition;
+                
+                #include <logdepthbuf_vertex>
             }
         `;
 
         // Fragment shader for particle appearance and effects
         const fragmentShader = `
+            #include <logdepthbuf_pars_fragment>
+            
             varying vec3 vColor;
             varying float vPhase;
             
@@ -109,6 +116,8 @@ export class ParticleShaderMaterial extends THREE.ShaderMaterial {
                 
                 // Final color with transparency
                 gl_FragColor = vec4(finalColor, alpha * 0.8);
+                
+                #include <logdepthbuf_fragment>
             }
         `;
 
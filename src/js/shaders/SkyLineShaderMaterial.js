@@ -0,0 +1,48 @@
+import * as THREE from 'three';
+import { SKY_POSITION_GLSL } from './StarFieldShaderMaterial.js';
+
+/**
+ * Lines on the celestial sphere, such as constellation figures and coordinate circles
+ *
+ * Vertices are unit directions placed like the background stars (see SKY_POSITION_GLSL),
+ * so the lines stay on the sky behind the bodies and line up with the stars.
+ */
+export class SkyLineShaderMaterial extends THREE.ShaderMaterial {
+    constructor(options = {}) {
+        // Vertex shader for the sky directions
+        const vertexShader = `
+            ${SKY_POSITION_GLSL}
+
+            void main() {
+                gl_Position = skyPosition(position);
+            }
+        `;
+
+        // Fragment shader for a flat, translucent line
+        const fragmentShader = `
+            uniform vec3 color;
+            uniform float opacity;
+
+            void main() {
+                gl_FragColor = vec4(color, opacity);
+
+                #include <colorspace_fragment>
+            }
+        `;
+
+        const uniforms = {
+            color: { value: new THREE.Color(options.color ?? 0xffffff) },
+            opacity: { value: options.opacity ?? 1.0 }
+        };
+
+        super({
+            vertexShader,
+            fragmentShader,
+            uniforms,
+            transparent: true,
+            depthWrite: false
+        });
+
+        this.isSkyLineShaderMaterial = true;
+    }
+}
@@ -0,0 +1,84 @@
+import * as THREE from 'three';
+
+/**
+ * GLSL for placing a direction on the celestial sphere: only the camera's rotation is
+ * applied, so the sky never moves with the camera or the followed body, and z = w puts
+ * it on the far plane, behind everything else in the scene
+ */
+export const SKY_POSITION_GLSL = `
+    vec4 skyPosition(vec3 direction) {
+        vec4 clipPosition = projectionMatrix * vec4(mat3(modelViewMatrix) * direction, 0.0);
+        return clipPosition.xyww;
+    }
+`;
+
+/**
+ * Background stars drawn as soft points at infinite distance
+ *
+ * Positions are unit directions on the celestial sphere (see SKY_POSITION_GLSL). Each
+ * star has a `size` in CSS pixels and a `brightness` that fades points too faint to
+ * shrink further.
+ */
+export class StarFieldShaderMaterial extends THREE.ShaderMaterial {
+    constructor(options = {}) {
+        // Vertex shader for the sky directions
+        const vertexShader = `
+            attribute float size;
+            attribute float brightness;
+
+            uniform float pixelRatio;
+
+            varying vec3 vColor;
+            varying float vBrightness;
+
+            ${SKY_POSITION_GLSL}
+
+            void main() {
+                vColor = color;
+                vBrightness = brightness;
+
+                gl_Position = skyPosition(position);
+                gl_PointSize = size * pixelRatio;
+            }
+        `;
+
+        // Fragment shader for a round point with a bright core
+        const fragmentShader = `
+            varying vec3 vColor;
+            varying float vBrightness;
+
+            void main() {
+                float r = length(gl_PointCoord - 0.5) * 2.0;
+                if (r > 1.0) discard;
+
+                float alpha = (1.0 - smoothstep(0.35, 1.0, r)) * vBrightness;
+                gl_FragColor = vec4(vColor, alpha);
+
+                #include <colorspace_fragment>
+            }
+        `;
+
+        const uniforms = {
+            pixelRatio: { value: options.pixelRatio || 1.0 }
+        };
+
+        super({
+            vertexShader,
+            fragmentShader,
+            uniforms,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending,
+            vertexColors: true
+        });
+
+        this.isStarFieldShaderMaterial = true;
+    }
+
+    /**
+     * Set the device pixel ratio the point sizes are scaled by
+     */
+    setPixelRatio(pixelRatio) {
+        this.uniforms.pixelRatio.value = pixelRatio;
+    }
+}
@@ -0,0 +1,126 @@
+import * as THREE from 'three';
+
+/**
+ * 3D value noise shared by the star shaders
+ */
+export const NOISE_GLSL = `
+    float hash3(vec3 p) {
+        p = fract(p * 0.3183099 + 0.1);
+        p *= 17.0;
+        return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+    }
+
+    float valueNoise(vec3 x) {
+        vec3 i = floor(x);
+        vec3 f = fract(x);
+        f = f * f * (3.0 - 2.0 * f);
+
+        return mix(
+            mix(mix(hash3(i), hash3(i + vec3(1.0, 0.0, 0.0)), f.x),
+                mix(hash3(i + vec3(0.0, 1.0, 0.0)), hash3(i + vec3(1.0, 1.0, 0.0)), f.x), f.y),
+            mix(mix(hash3(i + vec3(0.0, 0.0, 1.0)), hash3(i + vec3(1.0, 0.0, 1.0)), f.x),
+                mix(hash3(i + vec3(0.0, 1.0, 1.0)), hash3(i + vec3(1.0, 1.0, 1.0)), f.x), f.y),
+            f.z
+        );
+    }
+
+    float fbm(vec3 p) {
+        float value = 0.0;
+        float amplitude = 0.5;
+        for (int octave = 0; octave < 4; octave++) {
+            value += amplitude * valueNoise(p);
+            p *= 2.03;
+            amplitude *= 0.5;
+        }
+        return value;
+    }
+`;
+
+/**
+ * Animated photosphere: boiling granulation, slowly drifting sunspots and limb darkening
+ */
+export class SunShaderMaterial extends THREE.ShaderMaterial {
+    constructor(options = {}) {
+        // Vertex shader passing the surface direction and view geometry
+        const vertexShader = `
+            #include <common>
+            #include <logdepthbuf_pars_vertex>
+
+            varying vec3 vSurface;
+            varying vec3 vNormal;
+            varying vec3 vViewPosition;
+
+            void main() {
+                vSurface = normalize(position);
+                vNormal = normalize(normalMatrix * normal);
+
+                vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                vViewPosition = -mvPosition.xyz;
+                gl_Position = projectionMatrix * mvPosition;
+
+                #include <logdepthbuf_vertex>
+            }
+        `;
+
+        // Fragment shader for the surface brightness
+        const fragmentShader = `
+            #include <common>
+            #include <logdepthbuf_pars_fragment>
+
+            uniform float time;
+            uniform vec3 starColor;
+            uniform float granulation;
+
+            varying vec3 vSurface;
+            varying vec3 vNormal;
+            varying vec3 vViewPosition;
+
+            ${NOISE_GLSL}
+
+            void main() {
+                float t = time * 0.05;
+
+                // Granules: bright cell centres between dark ridges, slowly churning
+                vec3 p = vSurface * granulation;
+                float cells = fbm(p + vec3(t, -t, t * 0.7));
+                float ridges = 1.0 - abs(valueNoise(p * 2.0 - t) * 2.0 - 1.0);
+                float granules = mix(cells, ridges, 0.4);
+
+                // Sunspots: rare dark patches drifting with the rotation
+                float spots = smoothstep(0.68, 0.76, fbm(vSurface * 3.0 + vec3(0.0, t * 0.2, 17.0)));
+
+                // Quadratic limb darkening, I(mu) = 1 - a(1 - mu) - b(1 - mu)^2; the limb is also redder
+                float mu = clamp(dot(normalize(vNormal), normalize(vViewPosition)), 0.0, 1.0);
+                float limb = 1.0 - 0.47 * (1.0 - mu) - 0.23 * (1.0 - mu) * (1.0 - mu);
+                vec3 limbTint = mix(vec3(1.0, 0.7, 0.45), vec3(1.0), mu);
+
+                vec3 color = starColor * (0.8 + 0.45 * granules) * (1.0 - 0.65 * spots) * limb * limbTint;
+                gl_FragColor = vec4(color, 1.0);
+
+                #include <logdepthbuf_fragment>
+                #include <colorspace_fragment>
+            }
+        `;
+
+        const uniforms = {
+            time: { value: 0.0 },
+            starColor: { value: options.starColor ? options.starColor.clone() : new THREE.Color(0xffdd44) },
+            granulation: { value: options.granulation || 24.0 }
+        };
+
+        super({
+            vertexShader,
+            fragmentShader,
+            uniforms
+        });
+
+        this.isSunShaderMaterial = true;
+    }
+
+    /**
+     * Update time uniform for animation
+     */
+    updateTime(time) {
+        this.uniforms.time.value = time;
+    }
+}
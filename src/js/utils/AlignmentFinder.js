@@ -0,0 +1,269 @@
+import * as THREE from 'three';
+import { Ephemeris } from './Ephemeris.js';
+import { MAX_EVENTS, MAX_SEARCH_DAYS } from './EventPredictor.js';
+
+/**
+ * Kinds of alignment the finder can search for
+ */
+export const ALIGNMENT_TYPES = ['conjunction', 'opposition', 'elongation', 'parade'];
+
+/**
+ * Samples per orbit of the fastest planet, and the longest interval between samples in days
+ */
+const SAMPLES_PER_ORBIT = 40;
+const MAX_SAMPLE_INTERVAL = 1;
+
+/**
+ * Default search settings: conjunction separation and parade arc in degrees, parade size in planets
+ */
+const DEFAULT_OPTIONS = {
+    types: ALIGNMENT_TYPES,
+    conjunctionLimit: 3,
+    paradeSize: 4,
+    paradeSpan: 60
+};
+
+/**
+ * AlignmentFinder finds conjunctions, oppositions, greatest elongations and planet parades seen from a planet
+ *
+ * Planets are placed by the Ephemeris, from the same mean elements that drive the
+ * simulation's analytic orbits, and followed in a sampled scan:
+ *
+ * - a conjunction is two planets coming within `conjunctionLimit` degrees of each other
+ * - an opposition is an outer planet reaching the ecliptic longitude opposite the star
+ * - a greatest elongation is an inner planet at its greatest angle east or west of the star
+ * - a parade is `paradeSize` planets gathering within `paradeSpan` degrees of ecliptic longitude
+ *
+ * Only major planets take part. Events are `{ type, observer, star, target, peak }` with
+ * Julian dates, plus `start` and `end` for conjunctions and parades; `target` is the
+ * planet to look at. Conjunctions add the `bodies` and their `separation`, elongations
+ * the `elongation` and its `side` ('east' or 'west'), parades the `bodies` in order of
+ * longitude and their `span`; angles are in degrees.
+ */
+export class AlignmentFinder {
+    constructor(stars, planets) {
+        this.planets = planets;
+        this.ephemeris = new Ephemeris(stars, planets);
+    }
+
+    /**
+     * Find the alignments seen from a planet between two Julian dates, in order of their peak
+     *
+     * `options` override the DEFAULT_OPTIONS; missing values keep their defaults.
+     * Returns `{ events, searchedUntil }`; `searchedUntil` falls short of `endJulian`
+     * when the range is longer than one search can cover or holds more than MAX_EVENTS.
+     */
+    find(observerName, startJulian, endJulian, options = {}) {
+        const settings = { ...DEFAULT_OPTIONS };
+        Object.entries(options)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .forEach(([key, value]) => { settings[key] = value; });
+        const observer = this.planets.find(data => data.name === observerName);
+        if (!observer) {
+            throw new Error(`Unknown observer: ${observerName}`);
+        }
+
+        const star = this.ephemeris.getHostStar(observer);
+        const planets = this.planets.filter(data => data.type === 'planet' && data !== observer);
+        const tracks = this.getTracks(observer, star, planets, settings);
+
+        const interval = Ephemeris.getSampleInterval([observer, ...planets], SAMPLES_PER_ORBIT, MAX_SAMPLE_INTERVAL);
+        const end = Math.min(endJulian, startJulian + MAX_SEARCH_DAYS);
+        const sampleCount = Math.ceil((end - startJulian) / interval);
+        const viewAt = julian => this.getView(observer, star, planets, julian);
+
+        const events = [];
+        const history = tracks.map(() => []);
+        let searchedUntil = end;
+
+        for (let i = 0; i <= sampleCount && events.length < MAX_EVENTS; i++) {
+            const julian = startJulian + i * interval;
+            const view = viewAt(julian);
+
+            tracks.forEach((track, index) => {
+                const values = history[index];
+                values.push(track.measure(view));
+                if (values.length < 3) return;
+
+                const [before, middle, after] = values;
+                values.shift();
+
+                const f = time => track.measure(viewAt(time));
+                const event = AlignmentFinder.refine(track, f, [before, middle, after], julian, interval);
+                if (!event) return;
+
+                const depth = f(event.peak);
+                Object.assign(event, { observer: observer.name, star: star.name }, track.describe(viewAt(event.peak)));
+
+                // Several minima within one window are one event, timed at the closest
+                const previous = track.previous;
+                if (previous && event.start < previous.event.end) {
+                    if (depth < previous.depth) {
+                        Object.assign(previous.event, event, { start: previous.event.start });
+                        previous.depth = depth;
+                    }
+                    return;
+                }
+
+                track.previous = { event, depth };
+                events.push(event);
+            });
+
+            if (events.length >= MAX_EVENTS) {
+                searchedUntil = julian;
+            }
+        }
+
+        events.sort((a, b) => a.peak - b.peak);
+        return { events, searchedUntil };
+    }
+
+    /**
+     * Quantities to follow through the scan, one per pair, planet or parade
+     *
+     * Each track measures one number from a view and finds its events either where it
+     * dips below zero ('below'), at its maxima ('maximum') or where it falls through
+     * zero ('falling').
+     */
+    getTracks(observer, star, planets, settings) {
+        const tracks = [];
+        const types = settings.types || ALIGNMENT_TYPES;
+        const longitudeFromStar = (view, data) => AlignmentFinder.wrapAngle(view.get(data.name).longitude - view.get(star.name).longitude);
+        const angle = (view, a, b) => THREE.MathUtils.radToDeg(Ephemeris.angleBetween(view.get(a.name).direction, view.get(b.name).direction));
+
+        if (types.includes('conjunction')) {
+            planets.forEach((a, i) => {
+                planets.slice(i + 1).forEach(b => tracks.push({
+                    mode: 'below',
+                    measure: view => angle(view, a, b) - settings.conjunctionLimit,
+                    describe: view => ({
+                        type: 'conjunction',
+                        target: a.name,
+                        bodies: [a.name, b.name],
+                        separation: angle(view, a, b),
+                        elongation: angle(view, a, star)
+                    })
+                }));
+            });
+        }
+
+        // Planets around the same star as the observer are inner or outer planets
+        const neighbours = planets.filter(data => (data.host || null) === (observer.host || null));
+
+        if (types.includes('elongation')) {
+            neighbours
+                .filter(data => data.semiMajorAxis < observer.semiMajorAxis)
+                .forEach(data => tracks.push({
+                    mode: 'maximum',
+                    measure: view => angle(view, data, star),
+                    describe: view => ({
+                        type: 'elongation',
+                        target: data.name,
+                        elongation: angle(view, data, star),
+                        side: longitudeFromStar(view, data) > 0 ? 'east' : 'west'
+                    })
+                }));
+        }
+
+        if (types.includes('opposition')) {
+            neighbours
+                .filter(data => data.semiMajorAxis > observer.semiMajorAxis)
+                .forEach(data => tracks.push({
+                    mode: 'falling',
+                    measure: view => AlignmentFinder.wrapAngle(longitudeFromStar(view, data) - 180),
+                    describe: () => ({ type: 'opposition', target: data.name })
+                }));
+        }
+
+        if (types.includes('parade') && planets.length >= settings.paradeSize) {
+            tracks.push({
+                mode: 'below',
+                measure: view => AlignmentFinder.getSmallestArc(view, planets, settings.paradeSize).span - settings.paradeSpan,
+                describe: view => {
+                    const { span, members } = AlignmentFinder.getSmallestArc(view, planets, settings.paradeSize);
+                    return {
+                        type: 'parade',
+                        target: members[Math.floor(members.length / 2)].name,
+                        bodies: members.map(data => data.name),
+                        span
+                    };
+                }
+            });
+        }
+
+        return tracks;
+    }
+
+    /**
+     * Direction and ecliptic longitude of the star and each planet as seen from the observer
+     */
+    getView(observer, star, planets, julian) {
+        const positions = this.ephemeris.getPositions(julian);
+        const origin = positions.get(observer.name);
+        const view = new Map();
+
+        [star, ...planets].forEach(data => {
+            const direction = positions.get(data.name).sub(origin).normalize();
+            view.set(data.name, { direction, longitude: Ephemeris.getLongitude(direction) });
+        });
+
+        return view;
+    }
+
+    /**
+     * Time an event found between the last three samples of a track, or null when there is none
+     */
+    static refine(track, f, [before, middle, after], julian, interval) {
+        if (track.mode === 'falling') {
+            // Falling through zero, not jumping from -180 to 180
+            if (middle <= 0 || after > 0 || middle - after > 90) return null;
+            return { peak: Ephemeris.findContact(f, julian, -interval) };
+        }
+
+        if (track.mode === 'maximum') {
+            if (middle < before || middle <= after) return null;
+            return { peak: Ephemeris.findMinimum(time => -f(time), julian - 2 * interval, julian) };
+        }
+
+        // Minima that may dip below zero between samples
+        const change = Math.max(Math.abs(middle - before), Math.abs(after - middle));
+        if (middle > before || middle >= after || middle >= change * 2) return null;
+
+        const peak = Ephemeris.findMinimum(f, julian - 2 * interval, julian);
+        if (f(peak) >= 0) return null;
+
+        return {
+            start: Ephemeris.findContact(f, peak, -interval),
+            peak,
+            end: Ephemeris.findContact(f, peak, interval)
+        };
+    }
+
+    /**
+     * Narrowest arc of ecliptic longitude holding `count` planets, and those planets from west to east
+     */
+    static getSmallestArc(view, planets, count) {
+        const sorted = planets
+            .map(data => ({ data, longitude: view.get(data.name).longitude }))
+            .sort((a, b) => a.longitude - b.longitude);
+
+        let best = { span: 360, first: 0 };
+        sorted.forEach((first, index) => {
+            const last = sorted[(index + count - 1) % sorted.length];
+            const span = (last.longitude - first.longitude + 360) % 360;
+            if (span < best.span) {
+                best = { span, first: index };
+            }
+        });
+
+        const members = Array.from({ length: count }, (_, offset) => sorted[(best.first + offset) % sorted.length].data);
+        return { span: best.span, members };
+    }
+
+    /**
+     * Wrap an angle in degrees to the range -180 to 180
+     */
+    static wrapAngle(angle) {
+        return ((angle % 360) + 540) % 360 - 180;
+    }
+}
@@ -0,0 +1,38 @@
+import * as THREE from 'three';
+
+/**
+ * Blackbody converts stellar surface temperatures to display colors
+ */
+export class Blackbody {
+    /**
+     * Approximate sRGB color of a blackbody at a temperature in kelvin (fit valid 1000-40000 K)
+     */
+    static temperatureToColor(kelvin, target = new THREE.Color()) {
+        const t = THREE.MathUtils.clamp(kelvin, 1000, 40000) / 100;
+
+        const red = t <= 66
+            ? 255
+            : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+
+        const green = t <= 66
+            ? 99.4708025861 * Math.log(t) - 161.1195681661
+            : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+
+        let blue = 255;
+        if (t <= 19) {
+            blue = 0;
+        } else if (t < 66) {
+            blue = 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+        }
+
+        const channel = (value) => THREE.MathUtils.clamp(value, 0, 255) / 255;
+        return target.setRGB(channel(red), channel(green), channel(blue), THREE.SRGBColorSpace);
+    }
+
+    /**
+     * Approximate surface temperature in kelvin of a star with a B–V color index (Ballesteros 2012)
+     */
+    static colorIndexToTemperature(bv) {
+        return 4600 * (1 / (0.92 * bv + 1.7) + 1 / (0.92 * bv + 0.62));
+    }
+}
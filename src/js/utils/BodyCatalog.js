@@ -0,0 +1,646 @@
+import { TEXTURE_STYLES } from './TextureGenerator.js';
+
+/**
+ * URL of the catalog loaded when no other system is requested
+ */
+export const DEFAULT_CATALOG_URL = 'data/solar-system.json';
+
+/**
+ * Systems shipped with the app, offered in the system selector
+ */
+export const BUNDLED_SYSTEMS = [
+    { name: 'Solar System', url: DEFAULT_CATALOG_URL },
+    { name: 'TRAPPIST-1', url: 'data/trappist-1.json' },
+    { name: 'Kepler-90', url: 'data/kepler-90.json' },
+    { name: 'Alpha Centauri', url: 'data/alpha-centauri.json' },
+    { name: 'Kepler-16', url: 'data/kepler-16.json' }
+];
+
+/**
+ * Types that orbit the star directly and get their own mesh, orbit line and speed control
+ */
+export const ORBITING_TYPES = ['planet', 'dwarf-planet'];
+
+/**
+ * Field rules shared by the catalog schema. Each rule checks a value and returns
+ * a description of what was expected, or null when the value is fine.
+ */
+const number = (min = -Infinity, max = Infinity, { exclusiveMax = false } = {}) => (value) => {
+    const inRange = value >= min && (exclusiveMax ? value < max : value <= max);
+    if (typeof value === 'number' && Number.isFinite(value) && inRange) return null;
+
+    if (min === -Infinity && max === Infinity) return 'a number';
+    if (max === Infinity) return `a number ≥ ${min}`;
+    return `a number in [${min}, ${max}${exclusiveMax ? ')' : ']'}`;
+};
+const positive = (value) => (typeof value === 'number' && Number.isFinite(value) && value > 0 ? null : 'a positive number');
+const nonZero = (value) => (typeof value === 'number' && Number.isFinite(value) && value !== 0 ? null : 'a non-zero number');
+const string = (value) => (typeof value === 'string' && value.trim() !== '' ? null : 'a non-empty string');
+const boolean = (value) => (typeof value === 'boolean' ? null : 'true or false');
+const color = (value) => (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? null : 'a hex color like "#aabbcc"');
+const numberMap = (value) => (
+    value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(entry => typeof entry === 'number' && Number.isFinite(entry))
+        ? null
+        : 'an object of numbers'
+);
+const stringMap = (value) => (
+    value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(entry => string(entry) === null)
+        ? null
+        : 'an object of non-empty strings'
+);
+const count = (value) => (Number.isInteger(value) && value > 0 ? null : 'a positive integer');
+const range = (value) => (
+    Array.isArray(value) && value.length === 2 && value.every(entry => positive(entry) === null) && value[0] <= value[1]
+        ? null
+        : 'a [min, max] pair of positive numbers'
+);
+const colorList = (value) => (
+    Array.isArray(value) && value.length > 0 && value.every(entry => color(entry) === null)
+        ? null
+        : 'a non-empty array of hex colors'
+);
+const list = (value) => (Array.isArray(value) ? null : 'an array');
+const stringList = (value) => (
+    Array.isArray(value) && value.every(entry => string(entry) === null)
+        ? null
+        : 'an array of non-empty strings'
+);
+const utcDate = (value) => (
+    typeof value === 'string' && !Number.isNaN(Date.parse(value))
+        ? null
+        : 'a UTC date like "1977-09-05T12:56Z"'
+);
+const object = (value) => (value && typeof value === 'object' && !Array.isArray(value) ? null : 'an object');
+const oneOf = (options) => (value) => (options.includes(value) ? null : `one of ${options.join(', ')}`);
+const numberOrColorMap = (value) => (
+    value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(entry => typeof entry === 'number' || color(entry) === null)
+        ? null
+        : 'an object of numbers and hex colors'
+);
+
+const ORBIT_FIELDS = {
+    semiMajorAxis: { check: positive, required: true },
+    eccentricity: { check: number(0, 1, { exclusiveMax: true }), required: true },
+    inclination: { check: number(-180, 180), required: true },
+    longitudeOfAscendingNode: { check: number(), required: true },
+    argumentOfPerihelion: { check: number(), required: true },
+    rates: { check: numberMap }
+};
+
+/**
+ * Bodies other than comets move only by their mean anomaly rate, so it is required
+ */
+const meanAnomalyRates = (value) => (
+    numberMap(value) === null && value.meanAnomaly !== undefined
+        ? null
+        : 'an object of numbers with a "meanAnomaly" rate in degrees per Julian century'
+);
+const MEAN_ANOMALY_FIELDS = {
+    meanAnomaly: { check: number(), required: true },
+    rates: { check: meanAnomalyRates, required: true }
+};
+
+/**
+ * Known objects at the L1–L5 points of a body and what it orbits (see LagrangeSystem)
+ */
+const LAGRANGE_POINTS = new Set(['L1', 'L2', 'L3', 'L4', 'L5']);
+const lagrangePoints = (value) => (
+    stringMap(value) === null && Object.keys(value).every(key => LAGRANGE_POINTS.has(key))
+        ? null
+        : 'an object of strings keyed by L1 to L5'
+);
+
+const ROTATION_FIELDS = {
+    obliquity: { check: number(0, 180), required: true },
+    poleLongitude: { check: number(), required: true },
+    rotationPeriod: { check: nonZero, required: true }
+};
+
+/**
+ * `radius` is the hand-tuned on-screen size; the optional `meanRadius` (km) is the
+ * physical size used by the true-scale and logarithmic scale modes
+ */
+const PLANET_FIELDS = {
+    radius: { check: positive, required: true },
+    meanRadius: { check: positive },
+    distance: { check: positive, required: true },
+    color: { check: color, required: true },
+    emissive: { check: color, required: true },
+    mass: { check: positive, required: true },
+    ...ROTATION_FIELDS,
+    ...ORBIT_FIELDS,
+    ...MEAN_ANOMALY_FIELDS,
+    host: { check: string },
+    lagrangePoints: { check: lagrangePoints },
+    material: { check: numberOrColorMap },
+    texture: { check: object },
+    atmosphere: { check: object },
+    rings: { check: object }
+};
+
+/**
+ * Scattering shell (see AtmosphereSystem); `thickness` is in planet radii
+ */
+const ATMOSPHERE_SCHEMA = {
+    thickness: { check: number(0, 1, { exclusiveMax: true }), required: true },
+    color: { check: color, required: true },
+    density: { check: positive, required: true },
+    sunsetColor: { check: color }
+};
+
+/**
+ * Ring systems (see RingSystem); radii are in multiples of the planet's radius and
+ * `bands` give the density profile between them, with `gaps` cut out of it
+ */
+const RING_SCHEMA = {
+    innerRadius: { check: positive, required: true },
+    outerRadius: { check: positive, required: true },
+    color: { check: color, required: true },
+    opacity: { check: number(0, 1) },
+    striation: { check: number(0, 1) },
+    seed: { check: number() },
+    bands: { check: list },
+    gaps: { check: list }
+};
+
+const RING_BAND_SCHEMA = {
+    name: { check: string },
+    innerRadius: { check: positive, required: true },
+    outerRadius: { check: positive, required: true },
+    density: { check: number(0, 1), required: true },
+    color: { check: color }
+};
+
+const RING_GAP_SCHEMA = {
+    name: { check: string },
+    radius: { check: positive, required: true },
+    width: { check: positive, required: true }
+};
+
+/**
+ * Procedural surface texture (see TextureGenerator); `colors` run from dark to light,
+ * or ocean, land and highland for terrestrial planets
+ */
+const TEXTURE_SCHEMA = {
+    style: { check: oneOf(TEXTURE_STYLES), required: true },
+    seed: { check: number() },
+    colors: { check: colorList },
+    bands: { check: count },
+    turbulence: { check: number(0, 2) },
+    spot: { check: color },
+    craters: { check: count },
+    seaLevel: { check: number(0, 1) },
+    polarCaps: { check: boolean },
+    clouds: { check: boolean }
+};
+
+/**
+ * Schema per body type: field name to rule and whether it must be present
+ */
+const BODY_SCHEMAS = {
+    planet: PLANET_FIELDS,
+    'dwarf-planet': PLANET_FIELDS,
+    moon: {
+        parent: { check: string, required: true },
+        radius: { check: positive, required: true },
+        meanRadius: { check: positive },
+        distance: { check: positive, required: true },
+        color: { check: color, required: true },
+        mass: { check: positive },
+        tidallyLocked: { check: boolean },
+        lagrangePoints: { check: lagrangePoints },
+        ...ORBIT_FIELDS,
+        ...MEAN_ANOMALY_FIELDS
+    },
+    comet: {
+        color: { check: color, required: true },
+        meanRadius: { check: positive },
+        tailScale: { check: positive },
+        orbitSegments: { check: number(16, 8192) },
+        ...ORBIT_FIELDS,
+        perihelionJulianDate: { check: number(), required: true }
+    }
+};
+
+/**
+ * A star's `temperature` (K) sets its color unless `color` overrides it, and
+ * `luminosity` (solar units) sets the brightness of its light
+ */
+const STAR_SCHEMA = {
+    name: { check: string, required: true },
+    radius: { check: positive, required: true },
+    meanRadius: { check: positive },
+    temperature: { check: number(500, 100000), required: true },
+    luminosity: { check: positive, required: true },
+    color: { check: color },
+    mass: { check: positive, required: true },
+    ...ROTATION_FIELDS,
+    info: { check: string }
+};
+
+/**
+ * In multiple star systems every star also orbits the barycentre: elements describe
+ * the star's own barycentric orbit, and `distance` is its on-screen semi-major axis
+ */
+const MULTIPLE_STAR_SCHEMA = {
+    ...STAR_SCHEMA,
+    distance: { check: positive, required: true },
+    ...ORBIT_FIELDS,
+    ...MEAN_ANOMALY_FIELDS
+};
+
+/**
+ * Procedural belts: each population draws orbits (AU, degrees) from the given distributions
+ */
+const BELT_SCHEMA = {
+    name: { check: string, required: true },
+    seed: { check: number(), required: true },
+    size: { check: positive, required: true },
+    populations: { check: list, required: true }
+};
+
+const POPULATION_SCHEMA = {
+    description: { check: string },
+    count: { check: count, required: true },
+    semiMajorAxis: { check: range, required: true },
+    eccentricitySigma: { check: number(0), required: true },
+    inclinationSigma: { check: number(0), required: true },
+    gaps: { check: list },
+    colors: { check: colorList, required: true }
+};
+
+const GAP_SCHEMA = {
+    resonance: { check: string },
+    semiMajorAxis: { check: positive, required: true },
+    halfWidth: { check: positive, required: true }
+};
+
+/**
+ * Kinds of mission event, shown on the mission timeline (see MissionSystem)
+ */
+export const MISSION_EVENT_TYPES = ['launch', 'flyby', 'orbit', 'landing', 'milestone', 'end'];
+
+/**
+ * Spacecraft missions listed by a catalog's `missions`: a `trajectory` file of
+ * time-tagged heliocentric positions (see MissionTrajectory) and dated `events`.
+ * `extrapolate` carries the spacecraft on in a straight line after the last sample.
+ */
+const MISSION_SCHEMA = {
+    name: { check: string, required: true },
+    color: { check: color, required: true },
+    trajectory: { check: string, required: true },
+    events: { check: list, required: true },
+    extrapolate: { check: boolean },
+    info: { check: string },
+    source: { check: string }
+};
+
+/**
+ * A mission event names the `body` it happened at, if any, for the camera and tooltips
+ */
+const MISSION_EVENT_SCHEMA = {
+    date: { check: utcDate, required: true },
+    type: { check: oneOf(MISSION_EVENT_TYPES), required: true },
+    name: { check: string, required: true },
+    body: { check: string },
+    info: { check: string }
+};
+
+/**
+ * Background stars from a star catalog (see StarCatalog): J2000 right ascension in hours,
+ * declination in degrees, visual magnitude, B–V color index and IAU constellation abbreviation
+ */
+const STAR_CATALOG_SCHEMA = {
+    name: { check: string, required: true },
+    stars: { check: list, required: true },
+    constellations: { check: list },
+    description: { check: string },
+    source: { check: string }
+};
+
+const SKY_STAR_SCHEMA = {
+    name: { check: string, required: true },
+    ra: { check: number(0, 24, { exclusiveMax: true }), required: true },
+    dec: { check: number(-90, 90), required: true },
+    mag: { check: number(), required: true },
+    bv: { check: number(-0.5, 2.5), required: true },
+    constellation: { check: string }
+};
+
+/**
+ * Constellation stick figures: each of the `lines` runs through two or more catalog stars by name
+ */
+const CONSTELLATION_SCHEMA = {
+    name: { check: string, required: true },
+    abbreviation: { check: string },
+    lines: { check: list, required: true }
+};
+
+const COMMON_FIELDS = {
+    name: { check: string, required: true },
+    type: { check: string, required: true },
+    info: { check: string }
+};
+
+/**
+ * BodyCatalog loads and validates JSON catalogs describing a star and the bodies around it
+ *
+ * A catalog has one or more `stars`, a list of `bodies`, each with a `type` of
+ * planet, dwarf-planet, moon or comet, optional procedural `belts` and optional
+ * `missions`, the URLs of spacecraft mission files. Planets orbit the star named
+ * by their `host`, or the barycentre of all stars when they have none. Bodies of
+ * every type carry their own `info` text for tooltips; see
+ * public/data/solar-system.json for the full field set.
+ */
+export class BodyCatalog {
+    /**
+     * Fetch a catalog and validate it
+     */
+    static async load(url = DEFAULT_CATALOG_URL) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            throw new Error(`Could not fetch body catalog "${url}": ${error.message}`);
+        }
+
+        if (!response.ok) {
+            throw new Error(`Could not fetch body catalog "${url}": HTTP ${response.status}`);
+        }
+
+        return BodyCatalog.parse(await response.text(), url);
+    }
+
+    /**
+     * Parse catalog JSON text (e.g. from a user's file) and validate it
+     */
+    static parse(text, source = 'catalog') {
+        let catalog;
+        try {
+            catalog = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Body catalog "${source}" is not valid JSON: ${error.message}`);
+        }
+
+        return BodyCatalog.validate(catalog, source);
+    }
+
+    /**
+     * Check a parsed catalog against the schema, reporting every problem at once
+     */
+    static validate(catalog, source = 'catalog') {
+        const errors = [];
+
+        if (!catalog || typeof catalog !== 'object' || Array.isArray(catalog)) {
+            throw new Error(`Invalid body catalog "${source}": expected a JSON object`);
+        }
+
+        const nameError = string(catalog.name);
+        if (nameError) {
+            errors.push(`"name" must be ${nameError} (got ${JSON.stringify(catalog.name)})`);
+        }
+
+        // Catalogs written for a single star may still use `star`
+        if (catalog.stars === undefined && catalog.star !== undefined) {
+            catalog.stars = [catalog.star];
+            delete catalog.star;
+        }
+
+        if (!Array.isArray(catalog.stars) || catalog.stars.length === 0) {
+            errors.push('"stars" must be a non-empty array');
+        } else {
+            BodyCatalog.checkStars(catalog.stars, errors);
+        }
+
+        if (!Array.isArray(catalog.bodies)) {
+            errors.push('"bodies" must be an array');
+        } else {
+            BodyCatalog.checkBodies(catalog, errors);
+        }
+
+        if (catalog.belts !== undefined) {
+            if (!Array.isArray(catalog.belts)) {
+                errors.push('"belts" must be an array');
+            } else {
+                BodyCatalog.checkBelts(catalog.belts, errors);
+            }
+        }
+
+        // Mission files are loaded and checked on their own (see validateMission)
+        if (catalog.missions !== undefined && stringList(catalog.missions) !== null) {
+            errors.push('"missions" must be an array of mission file URLs');
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid body catalog "${source}":\n  - ${errors.join('\n  - ')}`);
+        }
+
+        return catalog;
+    }
+
+    /**
+     * Check a parsed mission file against the mission schema, reporting every problem at once
+     */
+    static validateMission(mission, source = 'mission') {
+        const errors = [];
+
+        if (!mission || typeof mission !== 'object' || Array.isArray(mission)) {
+            throw new Error(`Invalid mission "${source}": expected a JSON object`);
+        }
+
+        BodyCatalog.checkFields(mission, MISSION_SCHEMA, 'mission', errors);
+
+        (Array.isArray(mission.events) ? mission.events : []).forEach((event, index) => {
+            const label = `events[${index}]${typeof event?.name === 'string' ? ` (${event.name})` : ''}`;
+            BodyCatalog.checkFields(event ?? {}, MISSION_EVENT_SCHEMA, label, errors);
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid mission "${source}":\n  - ${errors.join('\n  - ')}`);
+        }
+
+        return mission;
+    }
+
+    /**
+     * Check a parsed star catalog against the star catalog schema, reporting every problem at once
+     */
+    static validateStarCatalog(catalog, source = 'star catalog') {
+        const errors = [];
+
+        if (!catalog || typeof catalog !== 'object' || Array.isArray(catalog)) {
+            throw new Error(`Invalid star catalog "${source}": expected a JSON object`);
+        }
+
+        BodyCatalog.checkFields(catalog, STAR_CATALOG_SCHEMA, 'catalog', errors);
+
+        (Array.isArray(catalog.stars) ? catalog.stars : []).forEach((star, index) => {
+            const label = `stars[${index}]${typeof star?.name === 'string' ? ` (${star.name})` : ''}`;
+            BodyCatalog.checkFields(star ?? {}, SKY_STAR_SCHEMA, label, errors);
+        });
+
+        const starNames = new Set((Array.isArray(catalog.stars) ? catalog.stars : []).map(star => star?.name));
+        (Array.isArray(catalog.constellations) ? catalog.constellations : []).forEach((constellation, index) => {
+            const label = `constellations[${index}]${typeof constellation?.name === 'string' ? ` (${constellation.name})` : ''}`;
+            BodyCatalog.checkFields(constellation ?? {}, CONSTELLATION_SCHEMA, label, errors);
+
+            (Array.isArray(constellation?.lines) ? constellation.lines : []).forEach((line, lineIndex) => {
+                if (!Array.isArray(line) || line.length < 2) {
+                    errors.push(`${label}: lines[${lineIndex}] must list at least two star names`);
+                    return;
+                }
+                line.filter(name => !starNames.has(name)).forEach(name => {
+                    errors.push(`${label}: lines[${lineIndex}] names unknown star ${JSON.stringify(name)}`);
+                });
+            });
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid star catalog "${source}":\n  - ${errors.join('\n  - ')}`);
+        }
+
+        return catalog;
+    }
+
+    /**
+     * Check stars; when there are several, each needs its barycentric orbit
+     */
+    static checkStars(stars, errors) {
+        const schema = stars.length > 1 ? MULTIPLE_STAR_SCHEMA : STAR_SCHEMA;
+
+        stars.forEach((star, index) => {
+            const label = `stars[${index}]${typeof star?.name === 'string' ? ` (${star.name})` : ''}`;
+
+            if (!star || typeof star !== 'object' || Array.isArray(star)) {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+
+            BodyCatalog.checkFields(star, schema, label, errors);
+        });
+    }
+
+    /**
+     * Check each body against the schema for its type, then cross-references
+     */
+    static checkBodies(catalog, errors) {
+        const stars = Array.isArray(catalog.stars) ? catalog.stars : [];
+        const names = new Set(stars.map(star => star?.name));
+
+        catalog.bodies.forEach((body, index) => {
+            const label = `bodies[${index}]${typeof body?.name === 'string' ? ` (${body.name})` : ''}`;
+
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+
+            const schema = BODY_SCHEMAS[body.type];
+            if (!schema) {
+                errors.push(`${label}: "type" must be one of ${Object.keys(BODY_SCHEMAS).join(', ')} (got ${JSON.stringify(body.type)})`);
+                return;
+            }
+
+            BodyCatalog.checkFields(body, { ...COMMON_FIELDS, ...schema }, label, errors);
+
+            if (body.texture && object(body.texture) === null) {
+                BodyCatalog.checkFields(body.texture, TEXTURE_SCHEMA, `${label}.texture`, errors);
+            }
+
+            if (body.atmosphere && object(body.atmosphere) === null) {
+                BodyCatalog.checkFields(body.atmosphere, ATMOSPHERE_SCHEMA, `${label}.atmosphere`, errors);
+            }
+
+            if (body.rings && object(body.rings) === null) {
+                BodyCatalog.checkRings(body.rings, `${label}.rings`, errors);
+            }
+
+            if (names.has(body.name)) {
+                errors.push(`${label}: duplicate name "${body.name}"`);
+            }
+            names.add(body.name);
+        });
+
+        // Planets may name a host star; moons must orbit a planet or dwarf planet in the same catalog
+        catalog.bodies.forEach((body, index) => {
+            if (typeof body?.host === 'string' && !stars.some(star => star?.name === body.host)) {
+                errors.push(`bodies[${index}] (${body.name}): "host" must name a star in the catalog (got "${body.host}")`);
+            }
+
+            if (body?.type !== 'moon' || typeof body.parent !== 'string') return;
+
+            const parent = catalog.bodies.find(other => other?.name === body.parent);
+            if (!parent || !ORBITING_TYPES.includes(parent.type)) {
+                errors.push(`bodies[${index}] (${body.name}): "parent" must name a planet or dwarf planet in the catalog (got "${body.parent}")`);
+            }
+        });
+    }
+
+    /**
+     * Check a ring system, its bands and gaps
+     */
+    static checkRings(rings, label, errors) {
+        BodyCatalog.checkFields(rings, RING_SCHEMA, label, errors);
+
+        if (rings.innerRadius >= rings.outerRadius) {
+            errors.push(`${label}: "innerRadius" must be less than "outerRadius"`);
+        }
+
+        (Array.isArray(rings.bands) ? rings.bands : []).forEach((band, index) => {
+            BodyCatalog.checkFields(band ?? {}, RING_BAND_SCHEMA, `${label}.bands[${index}]`, errors);
+        });
+
+        (Array.isArray(rings.gaps) ? rings.gaps : []).forEach((gap, index) => {
+            BodyCatalog.checkFields(gap ?? {}, RING_GAP_SCHEMA, `${label}.gaps[${index}]`, errors);
+        });
+    }
+
+    /**
+     * Check belt definitions, their populations and resonance gaps
+     */
+    static checkBelts(belts, errors) {
+        belts.forEach((belt, index) => {
+            const label = `belts[${index}]${typeof belt?.name === 'string' ? ` (${belt.name})` : ''}`;
+
+            if (!belt || typeof belt !== 'object' || Array.isArray(belt)) {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+
+            BodyCatalog.checkFields(belt, BELT_SCHEMA, label, errors);
+
+            (Array.isArray(belt.populations) ? belt.populations : []).forEach((population, populationIndex) => {
+                const populationLabel = `${label}.populations[${populationIndex}]`;
+                BodyCatalog.checkFields(population ?? {}, POPULATION_SCHEMA, populationLabel, errors);
+
+                (Array.isArray(population?.gaps) ? population.gaps : []).forEach((gap, gapIndex) => {
+                    BodyCatalog.checkFields(gap ?? {}, GAP_SCHEMA, `${populationLabel}.gaps[${gapIndex}]`, errors);
+                });
+            });
+        });
+    }
+
+    /**
+     * Check an object's fields against a schema; unknown fields only warn so typos are visible
+     */
+    static checkFields(object, schema, label, errors) {
+        Object.entries(schema).forEach(([key, { check, required }]) => {
+            if (object[key] === undefined) {
+                if (required) errors.push(`${label}: missing required field "${key}"`);
+                return;
+            }
+
+            const expected = check(object[key]);
+            if (expected) {
+                errors.push(`${label}: "${key}" must be ${expected} (got ${JSON.stringify(object[key])})`);
+            }
+        });
+
+        Object.keys(object)
+            .filter(key => !(key in schema))
+            .forEach(key => console.warn(`Body catalog: ${label} has unknown field "${key}"`));
+    }
+}
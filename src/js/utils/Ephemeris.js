@@ -0,0 +1,167 @@
+import * as THREE from 'three';
+import { OrbitalMechanics } from './OrbitalMechanics.js';
+import { AU_KM, EARTH_RADIUS_KM } from './ScaleModel.js';
+import { DAYS_PER_CENTURY, J2000 } from './SimulationClock.js';
+
+/**
+ * Precision of event times in days (about ten seconds)
+ */
+const TIME_TOLERANCE = 1e-4;
+
+/**
+ * Most steps taken looking for the end of an event; longer ones are cut short
+ */
+const MAX_CONTACT_STEPS = 2000;
+
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+/**
+ * Ephemeris places catalog bodies in km at any Julian date for the sky-event searches
+ *
+ * It uses the mean elements and per-century rates that drive the simulation's
+ * analytic orbits, in scene axes (ecliptic north is +Y) about the barycentre.
+ * Individual speed changes and the N-body mode are not included.
+ */
+export class Ephemeris {
+    constructor(stars, planets) {
+        this.stars = stars;
+        this.planets = planets;
+    }
+
+    /**
+     * Positions in km of the stars, the planets and the given moons at a Julian date
+     */
+    getPositions(julian, moons = []) {
+        const centuries = (julian - J2000) / DAYS_PER_CENTURY;
+        const positions = new Map();
+
+        // Only stars of a multiple system orbit the barycentre
+        this.stars.forEach(data => {
+            const position = data.semiMajorAxis
+                ? Ephemeris.getOrbitPosition(data, centuries).multiplyScalar(AU_KM)
+                : new THREE.Vector3();
+            positions.set(data.name, position);
+        });
+
+        this.planets.forEach(data => {
+            const position = Ephemeris.getOrbitPosition(data, centuries).multiplyScalar(AU_KM);
+            if (data.host && positions.has(data.host)) {
+                position.add(positions.get(data.host));
+            }
+            positions.set(data.name, position);
+        });
+
+        // Moon elements are in km around their parent
+        moons.forEach(data => {
+            const position = Ephemeris.getOrbitPosition(data, centuries).add(positions.get(data.parent));
+            positions.set(data.name, position);
+        });
+
+        return positions;
+    }
+
+    /**
+     * The star a planet orbits: its `host`, or the primary star of the system
+     */
+    getHostStar(planet) {
+        return this.stars.find(data => data.name === planet.host) || this.stars[0];
+    }
+
+    /**
+     * Position on a body's orbit at a time in Julian centuries since J2000, in the units of its semi-major axis
+     */
+    static getOrbitPosition(data, centuries) {
+        const elements = OrbitalMechanics.getElementsAt(data, centuries);
+        return OrbitalMechanics.getPosition(elements, THREE.MathUtils.degToRad(elements.meanAnomaly));
+    }
+
+    /**
+     * Radius in km; like ScaleModel, bodies without a `meanRadius` take their catalog radius as Earth radii
+     */
+    static getRadiusKm(data) {
+        return data.meanRadius ?? data.radius * EARTH_RADIUS_KM;
+    }
+
+    /**
+     * Ecliptic longitude in degrees (0-360) of a direction in scene axes
+     */
+    static getLongitude(direction) {
+        const longitude = THREE.MathUtils.radToDeg(Math.atan2(-direction.z, direction.x));
+        return (longitude + 360) % 360;
+    }
+
+    /**
+     * Angle between two unit vectors, accurate for small angles; a `sign` of -1 flips the second
+     */
+    static angleBetween(a, b, sign = 1) {
+        const cross = Math.hypot(a.y * b.z - a.z * b.y, a.z * b.x - a.x * b.z, a.x * b.y - a.y * b.x);
+        return Math.atan2(cross, sign * a.dot(b));
+    }
+
+    /**
+     * Interval in days at which to sample a search so the fastest of the given bodies is followed
+     */
+    static getSampleInterval(bodies, samplesPerOrbit, maxInterval) {
+        const periods = bodies
+            .map(data => OrbitalMechanics.getMeanMotion(data))
+            .filter(meanMotion => meanMotion > 0)
+            .map(meanMotion => Math.PI * 2 / meanMotion);
+
+        return Math.min(maxInterval, ...periods.map(period => period / samplesPerOrbit));
+    }
+
+    /**
+     * Golden-section search for the minimum of a function with one minimum between two times
+     */
+    static findMinimum(f, from, to) {
+        let a = from;
+        let b = to;
+        let c = b - GOLDEN_RATIO * (b - a);
+        let d = a + GOLDEN_RATIO * (b - a);
+        let fc = f(c);
+        let fd = f(d);
+
+        while (b - a > TIME_TOLERANCE) {
+            if (fc < fd) {
+                b = d;
+                d = c;
+                fd = fc;
+                c = b - GOLDEN_RATIO * (b - a);
+                fc = f(c);
+            } else {
+                a = c;
+                c = d;
+                fc = fd;
+                d = a + GOLDEN_RATIO * (b - a);
+                fd = f(d);
+            }
+        }
+
+        return (a + b) / 2;
+    }
+
+    /**
+     * Time a function that is negative at `peak` crosses zero, stepping away by `step` days and then bisecting
+     */
+    static findContact(f, peak, step) {
+        let inside = peak;
+        let outside = peak + step;
+
+        // Alignments longer than this are not followed to their end
+        for (let i = 0; i < MAX_CONTACT_STEPS && f(outside) < 0; i++) {
+            inside = outside;
+            outside += step;
+        }
+
+        while (Math.abs(outside - inside) > TIME_TOLERANCE) {
+            const middle = (inside + outside) / 2;
+            if (f(middle) < 0) {
+                inside = middle;
+            } else {
+                outside = middle;
+            }
+        }
+
+        return (inside + outside) / 2;
+    }
+}
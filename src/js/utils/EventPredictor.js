@@ -0,0 +1,229 @@
+import { Ephemeris } from './Ephemeris.js';
+
+/**
+ * Longest range, in days, one search may cover
+ */
+export const MAX_SEARCH_DAYS = 50 * 365.25;
+
+/**
+ * Samples per orbit of the fastest moving body, and the longest interval between samples in days
+ */
+const SAMPLES_PER_ORBIT = 20;
+const MAX_SAMPLE_INTERVAL = 0.25;
+
+/**
+ * Most samples one search takes; ranges that need more (fast inner moons) are cut short
+ */
+const MAX_SAMPLES = 100000;
+
+/**
+ * Most events one search lists; from planets with close moons there can be many a day
+ */
+export const MAX_EVENTS = 500;
+
+/**
+ * Enlargement of a shadow by the atmosphere of the planet casting it, as used for Earth's
+ */
+const ATMOSPHERE_SHADOW_FACTOR = 1.02;
+
+/**
+ * EventPredictor finds eclipses, transits and occultations seen from a planet
+ *
+ * Bodies are placed by the Ephemeris, from the mean elements that drive the simulation, and
+ * every pair is watched for the angular separation between them (seen from the
+ * observer's centre) falling below the sum of their apparent radii. The limit is
+ * widened by the parallax between the two bodies, so an event is listed when it can
+ * be seen from somewhere on the observer's surface. Individual speed changes and the
+ * N-body mode are ignored, so times follow the mean orbits rather than the real sky.
+ *
+ * Events are `{ type, kind, observer, occulter, target, start, peak, end }`, times as
+ * Julian dates. `type` is 'solar-eclipse', 'lunar-eclipse', 'transit' or 'occultation';
+ * `kind` grades eclipses ('total', 'annular', 'partial' or 'penumbral') and is null
+ * otherwise. The `occulter` passes in front of the `target`; in a lunar eclipse it is
+ * the observer, whose shadow covers the moon.
+ */
+export class EventPredictor {
+    constructor(stars, planets, moons) {
+        this.stars = stars;
+        this.planets = planets;
+        this.moons = moons;
+        this.ephemeris = new Ephemeris(stars, planets);
+    }
+
+    /**
+     * Find the events seen from a planet between two Julian dates, in order of their peak
+     *
+     * `types` optionally limits the search to some event types.
+     * Returns `{ events, searchedUntil }`; `searchedUntil` falls short of `endJulian`
+     * when the range is longer than one search can cover or holds more than MAX_EVENTS.
+     */
+    find(observerName, startJulian, endJulian, types = null) {
+        const observer = this.planets.find(data => data.name === observerName);
+        if (!observer) {
+            throw new Error(`Unknown observer: ${observerName}`);
+        }
+
+        const moons = this.moons.filter(data => data.parent === observer.name);
+        const tests = this.getTests(observer, moons);
+        const interval = Ephemeris.getSampleInterval([...this.stars, ...this.planets, ...moons], SAMPLES_PER_ORBIT, MAX_SAMPLE_INTERVAL);
+        const end = Math.min(endJulian, startJulian + MAX_SEARCH_DAYS, startJulian + interval * MAX_SAMPLES);
+
+        const radii = new Map([...this.stars, ...this.planets, ...moons].map(data => [data.name, Ephemeris.getRadiusKm(data)]));
+        const context = { observer, moons, radii };
+        const margin = (test, julian) => this.measure(test, this.getSights(context, julian)).margin;
+
+        // Refine every sampled minimum of a test's margin that may dip below zero between samples
+        const events = [];
+        const history = tests.map(() => []);
+        const sampleCount = Math.ceil((end - startJulian) / interval);
+        let searchedUntil = end;
+
+        for (let i = 0; i <= sampleCount && events.length < MAX_EVENTS; i++) {
+            const julian = startJulian + i * interval;
+            const sights = this.getSights(context, julian);
+
+            tests.forEach((test, index) => {
+                const values = history[index];
+                values.push(this.measure(test, sights).margin);
+                if (values.length < 3) return;
+
+                const [before, middle, after] = values;
+                values.shift();
+
+                const change = Math.max(Math.abs(middle - before), Math.abs(after - middle));
+                if (middle > before || middle >= after || middle >= change * 2) return;
+
+                const f = time => margin(test, time);
+                const peak = Ephemeris.findMinimum(f, julian - 2 * interval, julian);
+                const event = this.describe(test, context, peak);
+                if (!event || (types && !types.includes(event.type))) return;
+
+                event.start = Ephemeris.findContact(f, peak, -interval);
+                event.end = Ephemeris.findContact(f, peak, interval);
+                events.push(event);
+            });
+
+            if (events.length >= MAX_EVENTS) {
+                searchedUntil = julian;
+            }
+        }
+
+        events.sort((a, b) => a.peak - b.peak);
+        return { events, searchedUntil };
+    }
+
+    /**
+     * Pairs of bodies to watch from the observer, and the observer's shadow on each of its moons
+     */
+    getTests(observer, moons) {
+        const bodies = [
+            ...this.stars.map(data => ({ data, isStar: true })),
+            ...moons.map(data => ({ data, isMoon: true })),
+            ...this.planets.filter(data => data !== observer).map(data => ({ data }))
+        ];
+
+        const tests = [];
+        bodies.forEach((a, i) => {
+            bodies.slice(i + 1).forEach(b => tests.push({ bodies: [a, b] }));
+        });
+
+        this.stars.forEach(star => {
+            moons.forEach(moon => tests.push({ shadow: true, star, moon }));
+        });
+
+        return tests;
+    }
+
+    /**
+     * Direction, distance, apparent radius and parallax of every body as seen from the observer's centre
+     */
+    getSights(context, julian) {
+        const positions = this.ephemeris.getPositions(julian, context.moons);
+        const origin = positions.get(context.observer.name);
+        const observerRadius = context.radii.get(context.observer.name);
+        const sights = new Map();
+
+        positions.forEach((position, name) => {
+            if (name === context.observer.name) return;
+
+            const direction = position.sub(origin);
+            const distance = direction.length();
+            direction.divideScalar(distance);
+
+            sights.set(name, {
+                direction,
+                distance,
+                radius: Math.asin(Math.min(context.radii.get(name) / distance, 1)),
+                parallax: Math.asin(Math.min(observerRadius / distance, 1))
+            });
+        });
+
+        sights.hasAtmosphere = Boolean(context.observer.atmosphere);
+        return sights;
+    }
+
+    /**
+     * Angular separation behind a test and its margin, which is negative while the event is under way
+     */
+    measure(test, sights) {
+        if (test.shadow) {
+            const star = sights.get(test.star.name);
+            const moon = sights.get(test.moon.name);
+
+            // Shadow radii at the moon's distance, widened by an atmosphere
+            const factor = sights.hasAtmosphere ? ATMOSPHERE_SHADOW_FACTOR : 1;
+            const umbra = factor * (moon.parallax + star.parallax - star.radius);
+            const penumbra = factor * (moon.parallax + star.parallax + star.radius);
+
+            // The shadow points straight away from the star
+            const separation = Ephemeris.angleBetween(moon.direction, star.direction, -1);
+            return { separation, umbra, margin: separation - penumbra - moon.radius };
+        }
+
+        const [a, b] = test.bodies.map(body => sights.get(body.data.name));
+        const separation = Ephemeris.angleBetween(a.direction, b.direction);
+        return { separation, margin: separation - a.radius - b.radius - Math.abs(a.parallax - b.parallax) };
+    }
+
+    /**
+     * Build the event for a test at its peak, or null when nothing visible happens
+     */
+    describe(test, context, peak) {
+        const sights = this.getSights(context, peak);
+        const { separation, umbra, margin } = this.measure(test, sights);
+        if (margin >= 0) return null;
+
+        const observer = context.observer.name;
+
+        if (test.shadow) {
+            const moon = sights.get(test.moon.name);
+            let kind = 'penumbral';
+            if (separation + moon.radius < umbra) {
+                kind = 'total';
+            } else if (separation - moon.radius < umbra) {
+                kind = 'partial';
+            }
+            return { type: 'lunar-eclipse', kind, observer, occulter: observer, target: test.moon.name, peak };
+        }
+
+        const [near, far] = test.bodies.slice().sort((a, b) => sights.get(a.data.name).distance - sights.get(b.data.name).distance);
+
+        // Bodies hidden behind a star are lost in its glare
+        if (near.isStar && !far.isStar) return null;
+
+        const event = { type: 'occultation', kind: null, observer, occulter: near.data.name, target: far.data.name, peak };
+
+        if (far.isStar && near.isMoon) {
+            const nearSight = sights.get(near.data.name);
+            const farSight = sights.get(far.data.name);
+            const central = separation < nearSight.parallax - farSight.parallax;
+
+            event.type = 'solar-eclipse';
+            event.kind = central ? (nearSight.radius > farSight.radius ? 'total' : 'annular') : 'partial';
+        } else if (far.isStar && !near.isStar) {
+            event.type = 'transit';
+        }
+
+        return event;
+    }
+}
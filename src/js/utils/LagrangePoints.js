@@ -0,0 +1,78 @@
+/**
+ * Mass ratio below which L4 and L5 are stable (Routh's criterion, about 1/26)
+ */
+export const TROJAN_STABILITY_LIMIT = (1 - Math.sqrt(23 / 27)) / 2;
+
+/**
+ * Bisection steps when solving for a collinear point; enough to reach double precision
+ */
+const MAX_BISECTION_STEPS = 200;
+
+/**
+ * LagrangePoints locates the equilibrium points of the circular restricted three-body problem
+ *
+ * Lengths are in units of the separation of the two masses, along the line from the
+ * primary towards the secondary; `mu` is the secondary's share of the total mass.
+ * L1 lies between the bodies, L2 beyond the secondary and L3 beyond the primary;
+ * L4 and L5 form equilateral triangles with the two bodies.
+ */
+export class LagrangePoints {
+    /**
+     * Secondary's share of the pair's total mass
+     */
+    static getMassRatio(primaryMass, secondaryMass) {
+        return secondaryMass / (primaryMass + secondaryMass);
+    }
+
+    /**
+     * Distances of L1, L2 and L3 from the primary (L3 is negative, on the far side)
+     */
+    static getCollinearDistances(mu) {
+        // Net force in the rotating frame along the axis, with the barycentre at 0
+        const force = x => x
+            - (1 - mu) * (x + mu) / Math.pow(Math.abs(x + mu), 3)
+            - mu * (x - 1 + mu) / Math.pow(Math.abs(x - 1 + mu), 3);
+
+        // The force runs from -∞ to +∞ between the singularities at each body
+        const epsilon = 1e-12;
+        const l1 = LagrangePoints.bisect(force, -mu + epsilon, 1 - mu - epsilon);
+        const l2 = LagrangePoints.bisect(force, 1 - mu + epsilon, 2);
+        const l3 = LagrangePoints.bisect(force, -2, -mu - epsilon);
+
+        return [l1, l2, l3].map(x => x + mu);
+    }
+
+    /**
+     * Hill sphere radius of a secondary at a distance from its primary, in the units of the distance
+     */
+    static getHillRadius(distance, primaryMass, secondaryMass) {
+        return distance * Math.cbrt(secondaryMass / (3 * primaryMass));
+    }
+
+    /**
+     * Whether bodies at L4 and L5 stay there when nudged
+     */
+    static isTrojanStable(mu) {
+        return mu < TROJAN_STABILITY_LIMIT;
+    }
+
+    /**
+     * Root of a function that changes sign between two points
+     */
+    static bisect(f, from, to) {
+        let low = from;
+        let high = to;
+        const lowSign = Math.sign(f(low));
+
+        for (let i = 0; i < MAX_BISECTION_STEPS && high - low > Number.EPSILON * Math.abs(high); i++) {
+            const middle = (low + high) / 2;
+            if (Math.sign(f(middle)) === lowSign) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+
+        return (low + high) / 2;
+    }
+}
@@ -0,0 +1,264 @@
+import * as THREE from 'three';
+import { OrbitalMechanics } from './OrbitalMechanics.js';
+import { BodyCatalog } from './BodyCatalog.js';
+import { SimulationClock } from './SimulationClock.js';
+
+/**
+ * Columns every trajectory sample needs
+ */
+const TRAJECTORY_COLUMNS = ['date', 'x', 'y', 'z'];
+
+/**
+ * MissionTrajectory holds a spacecraft's sampled path and dated events
+ *
+ * Trajectory files list time-tagged heliocentric positions in AU in the ecliptic
+ * frame (z towards ecliptic north), either as CSV with a `date,x,y,z` header or as
+ * a JSON array of `{ date, x, y, z }` objects; dates are UTC. Positions between
+ * samples are interpolated with cubic Hermite curves, so a few hundred samples
+ * follow a flyby smoothly. Before the first sample the spacecraft has not launched;
+ * after the last it either stops or, with `extrapolate`, coasts on in a straight
+ * line, which suits spacecraft leaving the Solar System.
+ */
+export class MissionTrajectory {
+    constructor(mission, samples) {
+        this.name = mission.name;
+        this.color = mission.color;
+        this.info = mission.info || '';
+        this.source = mission.source || '';
+        this.extrapolate = Boolean(mission.extrapolate);
+
+        this.events = mission.events
+            .map(event => ({ ...event, julian: SimulationClock.dateToJulian(new Date(event.date)) }))
+            .sort((a, b) => a.julian - b.julian);
+
+        // Positions in scene axes, for samples in time order
+        this.times = samples.map(sample => sample.julian);
+        this.positions = samples.map(sample => OrbitalMechanics.eclipticToScene(sample.x, sample.y, sample.z));
+        this.velocities = this.positions.map((_, index) => this.getSampleVelocity(index));
+    }
+
+    /**
+     * Fetch a mission file and its trajectory, and validate both
+     */
+    static async load(url) {
+        const text = await MissionTrajectory.fetchText(url);
+
+        let mission;
+        try {
+            mission = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Mission "${url}" is not valid JSON: ${error.message}`);
+        }
+        BodyCatalog.validateMission(mission, url);
+
+        const samples = MissionTrajectory.parseSamples(await MissionTrajectory.fetchText(mission.trajectory), mission.trajectory);
+        return new MissionTrajectory(mission, samples);
+    }
+
+    /**
+     * Load the missions a catalog lists, leaving out (with a warning) any that fail
+     */
+    static async loadAll(urls = []) {
+        const results = await Promise.allSettled(urls.map(url => MissionTrajectory.load(url)));
+
+        return results
+            .filter(result => {
+                if (result.status === 'rejected') {
+                    console.warn('⚠️ Skipping mission:', result.reason.message);
+                }
+                return result.status === 'fulfilled';
+            })
+            .map(result => result.value);
+    }
+
+    /**
+     * Fetch a file as text
+     */
+    static async fetchText(url) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            throw new Error(`Could not fetch "${url}": ${error.message}`);
+        }
+
+        if (!response.ok) {
+            throw new Error(`Could not fetch "${url}": HTTP ${response.status}`);
+        }
+
+        return response.text();
+    }
+
+    /**
+     * Parse trajectory samples from CSV or JSON text into `{ julian, x, y, z }` in time order
+     */
+    static parseSamples(text, source = 'trajectory') {
+        let rows;
+
+        if (text.trimStart().startsWith('[')) {
+            try {
+                rows = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`Trajectory "${source}" is not valid JSON: ${error.message}`);
+            }
+        } else {
+            const [header, ...lines] = text.trim().split(/\r?\n/);
+            const columns = header.split(',').map(column => column.trim());
+            if (TRAJECTORY_COLUMNS.some(column => !columns.includes(column))) {
+                throw new Error(`Trajectory "${source}" needs a "${TRAJECTORY_COLUMNS.join(',')}" header`);
+            }
+
+            rows = lines
+                .filter(line => line.trim() !== '')
+                .map(line => {
+                    const values = line.split(',');
+                    return Object.fromEntries(columns.map((column, index) => [column, values[index]?.trim()]));
+                });
+        }
+
+        const samples = (Array.isArray(rows) ? rows : []).map((row, index) => {
+            const julian = SimulationClock.dateToJulian(new Date(row?.date));
+            const [x, y, z] = ['x', 'y', 'z'].map(axis => Number(row?.[axis]));
+
+            if (![julian, x, y, z].every(Number.isFinite)) {
+                throw new Error(`Trajectory "${source}": sample ${index + 1} needs a UTC date and x, y, z in AU`);
+            }
+            return { julian, x, y, z };
+        });
+
+        if (samples.length < 2) {
+            throw new Error(`Trajectory "${source}" needs at least two samples`);
+        }
+
+        samples.sort((a, b) => a.julian - b.julian);
+        if (samples.some((sample, index) => index > 0 && sample.julian === samples[index - 1].julian)) {
+            throw new Error(`Trajectory "${source}" has two samples at the same date`);
+        }
+
+        return samples;
+    }
+
+    /**
+     * Julian date of the first sample, when the spacecraft appears
+     */
+    get startJulian() {
+        return this.times[0];
+    }
+
+    /**
+     * Julian date of the last sample
+     */
+    get endJulian() {
+        return this.times[this.times.length - 1];
+    }
+
+    /**
+     * Whether the spacecraft is flying at a Julian date
+     */
+    isActive(julian) {
+        return julian >= this.startJulian && (this.extrapolate || julian <= this.endJulian);
+    }
+
+    /**
+     * Heliocentric position in AU, in scene axes, at a Julian date, or null when the spacecraft is not flying
+     */
+    getPosition(julian, target = new THREE.Vector3()) {
+        if (!this.isActive(julian)) return null;
+
+        const last = this.times.length - 1;
+        if (julian >= this.endJulian) {
+            return target.copy(this.positions[last]).addScaledVector(this.velocities[last], julian - this.endJulian);
+        }
+
+        const index = this.findSample(julian);
+        const t0 = this.times[index];
+        const span = this.times[index + 1] - t0;
+        const s = (julian - t0) / span;
+
+        // Cubic Hermite basis on the segment
+        const s2 = s * s;
+        const s3 = s2 * s;
+        const h00 = 2 * s3 - 3 * s2 + 1;
+        const h10 = s3 - 2 * s2 + s;
+        const h01 = -2 * s3 + 3 * s2;
+        const h11 = s3 - s2;
+
+        return target.copy(this.positions[index]).multiplyScalar(h00)
+            .addScaledVector(this.velocities[index], h10 * span)
+            .addScaledVector(this.positions[index + 1], h01)
+            .addScaledVector(this.velocities[index + 1], h11 * span);
+    }
+
+    /**
+     * Heliocentric velocity in AU per day, in scene axes, at a Julian date, or null when the spacecraft is not flying
+     */
+    getVelocity(julian, target = new THREE.Vector3()) {
+        if (!this.isActive(julian)) return null;
+
+        const last = this.times.length - 1;
+        if (julian >= this.endJulian) {
+            return target.copy(this.velocities[last]);
+        }
+
+        const index = this.findSample(julian);
+        const span = this.times[index + 1] - this.times[index];
+        const s = (julian - this.times[index]) / span;
+
+        // Derivatives of the Hermite basis
+        const s2 = s * s;
+        const d00 = (6 * s2 - 6 * s) / span;
+        const d10 = 3 * s2 - 4 * s + 1;
+        const d01 = (6 * s - 6 * s2) / span;
+        const d11 = 3 * s2 - 2 * s;
+
+        return target.copy(this.positions[index]).multiplyScalar(d00)
+            .addScaledVector(this.velocities[index], d10)
+            .addScaledVector(this.positions[index + 1], d01)
+            .addScaledVector(this.velocities[index + 1], d11);
+    }
+
+    /**
+     * Index of the last sample at or before a Julian date within the samples
+     */
+    findSample(julian) {
+        let low = 0;
+        let high = this.times.length - 1;
+
+        while (high - low > 1) {
+            const middle = (low + high) >> 1;
+            if (this.times[middle] <= julian) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * Velocity in AU per day at a sample, from its neighbours (one-sided at the ends)
+     */
+    getSampleVelocity(index) {
+        const before = Math.max(0, index - 1);
+        const after = Math.min(this.positions.length - 1, index + 1);
+
+        return this.positions[after].clone()
+            .sub(this.positions[before])
+            .divideScalar(this.times[after] - this.times[before]);
+    }
+
+    /**
+     * Latest event at or before a Julian date, or null before the first
+     */
+    getLastEvent(julian) {
+        return this.events.filter(event => event.julian <= julian).pop() || null;
+    }
+
+    /**
+     * Earliest event after a Julian date, or null after the last
+     */
+    getNextEvent(julian) {
+        return this.events.find(event => event.julian > julian) || null;
+    }
+}
@@ -0,0 +1,205 @@
+import * as THREE from 'three';
+
+/**
+ * Gravitational constant in AU^3 / (solar mass * day^2), from the Gaussian constant k = 0.01720209895
+ */
+export const GRAVITATIONAL_CONSTANT = 0.01720209895 * 0.01720209895;
+
+/**
+ * Mass of the Sun in kilograms, for converting catalog masses to solar masses
+ */
+export const SOLAR_MASS_KG = 1.98847e30;
+
+/**
+ * Squared softening length (AU^2) that keeps close encounters finite
+ */
+const SOFTENING_SQUARED = 1e-8;
+
+/**
+ * Default number of substeps one update may take, about what fits in a frame
+ */
+const MAX_STEPS_PER_UPDATE = 2000;
+
+/**
+ * NBodySimulator integrates mutual gravitation with a fixed-step velocity Verlet scheme
+ *
+ * Units are AU, days and solar masses. The scheme is symplectic and time-reversible,
+ * so negative time steps retrace the trajectory and energy error stays bounded.
+ */
+export class NBodySimulator {
+    constructor(options = {}) {
+        this.timeStep = options.timeStep || 0.25; // Days per substep
+        this.maxStepsPerUpdate = options.maxStepsPerUpdate || MAX_STEPS_PER_UPDATE;
+        this.bodies = [];
+        this.accumulator = 0;
+        this.initialEnergy = 0;
+    }
+
+    /**
+     * Add a body with a mass in solar masses and position/velocity in AU and AU/day
+     */
+    addBody({ name, mass, position, velocity }) {
+        const body = {
+            name,
+            mass,
+            position: position.clone(),
+            velocity: velocity.clone(),
+            acceleration: new THREE.Vector3()
+        };
+
+        this.bodies.push(body);
+        this.computeAccelerations();
+        return body;
+    }
+
+    /**
+     * Remove a body by name
+     */
+    removeBody(name) {
+        this.bodies = this.bodies.filter(body => body.name !== name);
+        this.computeAccelerations();
+    }
+
+    /**
+     * Get a body by name
+     */
+    getBody(name) {
+        return this.bodies.find(body => body.name === name);
+    }
+
+    /**
+     * Shift positions and velocities so the centre of mass is at rest at the origin
+     */
+    moveToBarycentre() {
+        const totalMass = this.bodies.reduce((sum, body) => sum + body.mass, 0);
+        const centre = new THREE.Vector3();
+        const momentum = new THREE.Vector3();
+
+        this.bodies.forEach(body => {
+            centre.addScaledVector(body.position, body.mass / totalMass);
+            momentum.addScaledVector(body.velocity, body.mass / totalMass);
+        });
+
+        this.bodies.forEach(body => {
+            body.position.sub(centre);
+            body.velocity.sub(momentum);
+        });
+
+        this.computeAccelerations();
+    }
+
+    /**
+     * Compute gravitational accelerations for all bodies
+     */
+    computeAccelerations() {
+        const bodies = this.bodies;
+
+        bodies.forEach(body => body.acceleration.set(0, 0, 0));
+
+        for (let i = 0; i < bodies.length; i++) {
+            const a = bodies[i];
+
+            for (let j = i + 1; j < bodies.length; j++) {
+                const b = bodies[j];
+
+                const dx = b.position.x - a.position.x;
+                const dy = b.position.y - a.position.y;
+                const dz = b.position.z - a.position.z;
+                const distanceSquared = dx * dx + dy * dy + dz * dz + SOFTENING_SQUARED;
+                const inverseCube = 1 / (distanceSquared * Math.sqrt(distanceSquared));
+
+                const forceA = GRAVITATIONAL_CONSTANT * b.mass * inverseCube;
+                const forceB = GRAVITATIONAL_CONSTANT * a.mass * inverseCube;
+
+                a.acceleration.x += dx * forceA;
+                a.acceleration.y += dy * forceA;
+                a.acceleration.z += dz * forceA;
+                b.acceleration.x -= dx * forceB;
+                b.acceleration.y -= dy * forceB;
+                b.acceleration.z -= dz * forceB;
+            }
+        }
+    }
+
+    /**
+     * Advance one fixed substep (kick-drift-kick); a negative step runs backwards
+     */
+    integrate(step) {
+        const halfStep = step / 2;
+
+        this.bodies.forEach(body => {
+            body.velocity.addScaledVector(body.acceleration, halfStep);
+            body.position.addScaledVector(body.velocity, step);
+        });
+
+        this.computeAccelerations();
+
+        this.bodies.forEach(body => {
+            body.velocity.addScaledVector(body.acceleration, halfStep);
+        });
+    }
+
+    /**
+     * Advance the simulation by a number of days using whole fixed substeps
+     *
+     * Time that does not fill a substep is carried over to the next call, so the
+     * trajectory does not depend on the frame rate. At most `maxStepsPerUpdate`
+     * substeps are taken; the days left over are returned so the caller can hold its
+     * clock back to where the integration reached.
+     */
+    step(days) {
+        this.accumulator += days;
+
+        const direction = Math.sign(this.accumulator);
+        const steps = Math.min(Math.floor(Math.abs(this.accumulator) / this.timeStep), this.maxStepsPerUpdate);
+
+        this.accumulator -= direction * steps * this.timeStep;
+
+        for (let i = 0; i < steps; i++) {
+            this.integrate(direction * this.timeStep);
+        }
+
+        if (steps < this.maxStepsPerUpdate) return 0;
+
+        const leftover = this.accumulator;
+        this.accumulator = 0;
+        return leftover;
+    }
+
+    /**
+     * Total kinetic plus potential energy of the system
+     */
+    computeEnergy() {
+        const bodies = this.bodies;
+        let kinetic = 0;
+        let potential = 0;
+
+        for (let i = 0; i < bodies.length; i++) {
+            kinetic += 0.5 * bodies[i].mass * bodies[i].velocity.lengthSq();
+
+            for (let j = i + 1; j < bodies.length; j++) {
+                const distance = Math.sqrt(
+                    bodies[i].position.distanceToSquared(bodies[j].position) + SOFTENING_SQUARED
+                );
+                potential -= GRAVITATIONAL_CONSTANT * bodies[i].mass * bodies[j].mass / distance;
+            }
+        }
+
+        return kinetic + potential;
+    }
+
+    /**
+     * Take the current energy as the reference for drift measurements
+     */
+    resetEnergyBaseline() {
+        this.initialEnergy = this.computeEnergy();
+    }
+
+    /**
+     * Relative change in total energy since the baseline
+     */
+    getEnergyDrift() {
+        if (!this.initialEnergy) return 0;
+        return Math.abs((this.computeEnergy() - this.initialEnergy) / this.initialEnergy);
+    }
+}
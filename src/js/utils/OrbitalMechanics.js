@@ -0,0 +1,206 @@
+import * as THREE from 'three';
+import { DAYS_PER_CENTURY, J2000 } from './SimulationClock.js';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Tilt of Earth's equator to the ecliptic at J2000, in degrees
+ */
+const OBLIQUITY_J2000 = 23.4392911;
+
+/**
+ * Element names that can carry a per-century rate
+ */
+const ELEMENT_KEYS = [
+    'semiMajorAxis',
+    'eccentricity',
+    'inclination',
+    'longitudeOfAscendingNode',
+    'argumentOfPerihelion',
+    'meanAnomaly'
+];
+
+/**
+ * OrbitalMechanics provides Keplerian orbit calculations
+ *
+ * Orbital elements use astronomical conventions: semi-major axis in AU and
+ * angles in degrees, measured in the ecliptic frame. Results are returned in
+ * scene space, where the ecliptic is the XZ plane and ecliptic north is +Y.
+ */
+export class OrbitalMechanics {
+    /**
+     * Solve Kepler's equation M = E - e sin(E) for the eccentric anomaly (radians)
+     */
+    static solveKepler(meanAnomaly, eccentricity, tolerance = 1e-10, maxIterations = 30) {
+        const twoPi = Math.PI * 2;
+        const M = ((meanAnomaly % twoPi) + twoPi) % twoPi;
+
+        // Starting guess that converges for high eccentricities as well
+        let E = eccentricity < 0.8 ? M : Math.PI;
+
+        for (let i = 0; i < maxIterations; i++) {
+            const delta = (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+            E -= delta;
+
+            if (Math.abs(delta) < tolerance) {
+                break;
+            }
+        }
+
+        return E;
+    }
+
+    /**
+     * Get mean elements at a time, in Julian centuries since J2000, from epoch values and per-century rates
+     */
+    static getElementsAt(data, centuries) {
+        const rates = data.rates || {};
+        const elements = {};
+
+        ELEMENT_KEYS.forEach(key => {
+            elements[key] = data[key] + (rates[key] || 0) * centuries;
+        });
+
+        return elements;
+    }
+
+    /**
+     * Get the mean motion in radians per day from the per-century mean anomaly rate
+     */
+    static getMeanMotion(data) {
+        return THREE.MathUtils.degToRad(data.rates?.meanAnomaly || 0) / DAYS_PER_CENTURY;
+    }
+
+    /**
+     * Get the position on an orbit at a given eccentric anomaly, in scene space
+     */
+    static getPositionFromEccentricAnomaly(elements, eccentricAnomaly, target = new THREE.Vector3()) {
+        const a = elements.semiMajorAxis;
+        const e = elements.eccentricity;
+
+        // Position in the orbital plane, perihelion along +x
+        const xOrbit = a * (Math.cos(eccentricAnomaly) - e);
+        const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(eccentricAnomaly);
+
+        return OrbitalMechanics.orbitalPlaneToScene(elements, xOrbit, yOrbit, target);
+    }
+
+    /**
+     * Get the position of a body at a given mean anomaly (radians), in scene space
+     */
+    static getPosition(elements, meanAnomaly, target = new THREE.Vector3()) {
+        const E = OrbitalMechanics.solveKepler(meanAnomaly, elements.eccentricity);
+        return OrbitalMechanics.getPositionFromEccentricAnomaly(elements, E, target);
+    }
+
+    /**
+     * Get the orbital velocity at a given mean anomaly (radians), in scene space
+     *
+     * `meanMotion` is in radians per unit time, which sets the unit of the result.
+     */
+    static getVelocity(elements, meanAnomaly, meanMotion, target = new THREE.Vector3()) {
+        const a = elements.semiMajorAxis;
+        const e = elements.eccentricity;
+        const E = OrbitalMechanics.solveKepler(meanAnomaly, e);
+        const denominator = 1 - e * Math.cos(E);
+
+        const vxOrbit = -a * meanMotion * Math.sin(E) / denominator;
+        const vyOrbit = a * meanMotion * Math.sqrt(1 - e * e) * Math.cos(E) / denominator;
+
+        return OrbitalMechanics.orbitalPlaneToScene(elements, vxOrbit, vyOrbit, target);
+    }
+
+    /**
+     * Rotate a point from the orbital plane into the ecliptic frame and map it to scene axes
+     */
+    static orbitalPlaneToScene(elements, xOrbit, yOrbit, target = new THREE.Vector3()) {
+        const i = THREE.MathUtils.degToRad(elements.inclination);
+        const node = THREE.MathUtils.degToRad(elements.longitudeOfAscendingNode);
+        const peri = THREE.MathUtils.degToRad(elements.argumentOfPerihelion);
+
+        const cosNode = Math.cos(node);
+        const sinNode = Math.sin(node);
+        const cosPeri = Math.cos(peri);
+        const sinPeri = Math.sin(peri);
+        const cosI = Math.cos(i);
+        const sinI = Math.sin(i);
+
+        // Ecliptic coordinates (x towards the vernal equinox, z towards ecliptic north)
+        const x = (cosNode * cosPeri - sinNode * sinPeri * cosI) * xOrbit +
+            (-cosNode * sinPeri - sinNode * cosPeri * cosI) * yOrbit;
+        const y = (sinNode * cosPeri + cosNode * sinPeri * cosI) * xOrbit +
+            (-sinNode * sinPeri + cosNode * cosPeri * cosI) * yOrbit;
+        const z = (sinPeri * sinI) * xOrbit + (cosPeri * sinI) * yOrbit;
+
+        return OrbitalMechanics.eclipticToScene(x, y, z, target);
+    }
+
+    /**
+     * Map ecliptic coordinates to scene axes (ecliptic north is +Y)
+     */
+    static eclipticToScene(x, y, z, target = new THREE.Vector3()) {
+        return target.set(x, z, -y);
+    }
+
+    /**
+     * Map a J2000 right ascension and declination in degrees to a unit direction in scene axes
+     */
+    static equatorialToScene(rightAscension, declination, target = new THREE.Vector3()) {
+        const ra = THREE.MathUtils.degToRad(rightAscension);
+        const dec = THREE.MathUtils.degToRad(declination);
+        const obliquity = THREE.MathUtils.degToRad(OBLIQUITY_J2000);
+
+        const x = Math.cos(dec) * Math.cos(ra);
+        const y = Math.cos(dec) * Math.sin(ra);
+        const z = Math.sin(dec);
+
+        // Tip the equator down onto the ecliptic about the equinox direction (+x)
+        return OrbitalMechanics.eclipticToScene(
+            x,
+            y * Math.cos(obliquity) + z * Math.sin(obliquity),
+            -y * Math.sin(obliquity) + z * Math.cos(obliquity),
+            target
+        );
+    }
+
+    /**
+     * Get the rotation that tilts scene +Y onto a body's spin axis
+     */
+    static getAxisQuaternion(obliquity, poleLongitude, target = new THREE.Quaternion()) {
+        const tilt = THREE.MathUtils.degToRad(obliquity || 0);
+        const longitude = THREE.MathUtils.degToRad(poleLongitude || 0);
+
+        const axis = OrbitalMechanics.eclipticToScene(
+            Math.sin(tilt) * Math.cos(longitude),
+            Math.sin(tilt) * Math.sin(longitude),
+            Math.cos(tilt)
+        );
+
+        return target.setFromUnitVectors(UP, axis.normalize());
+    }
+
+    /**
+     * Get a body's spin angle (radians) about its axis at a Julian date
+     */
+    static getRotationAngle(rotationPeriod, julianDate) {
+        if (!rotationPeriod) return 0;
+
+        const turns = (julianDate - J2000) / (rotationPeriod / 24);
+        return (turns - Math.floor(turns)) * Math.PI * 2;
+    }
+
+    /**
+     * Sample points along the full orbit ellipse, in scene space
+     */
+    static getOrbitPoints(elements, segments = 256) {
+        const points = [];
+
+        // Sampling by eccentric anomaly keeps points evenly spread around the ellipse
+        for (let i = 0; i <= segments; i++) {
+            const E = (i / segments) * Math.PI * 2;
+            points.push(OrbitalMechanics.getPositionFromEccentricAnomaly(elements, E));
+        }
+
+        return points;
+    }
+}
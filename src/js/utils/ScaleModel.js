@@ -0,0 +1,256 @@
+import * as THREE from 'three';
+
+/**
+ * Kilometres per astronomical unit
+ */
+export const AU_KM = 149597870.7;
+
+/**
+ * Ways of mapping real distances and sizes to the scene, in the order they are offered
+ */
+export const SCALE_MODES = {
+    compressed: {
+        label: 'Compressed visual',
+        description: 'Hand-tuned distances and sizes that fit every body on screen. They are neither linear nor logarithmic, so compare bodies with care.'
+    },
+    true: {
+        label: 'True scale',
+        description: 'Distances and sizes share one linear scale. Planets become specks: click one to zoom in on it.'
+    },
+    logarithmic: {
+        label: 'Logarithmic distance',
+        description: 'Each step outward covers more AU than the last, spreading out the inner orbits. Sizes follow the logarithm of the radius.'
+    },
+    uniform: {
+        label: 'Uniform spacing',
+        description: 'Planet orbits are evenly spaced and bodies of a kind share one size; only their order is real.'
+    }
+};
+
+export const DEFAULT_SCALE_MODE = 'compressed';
+
+/**
+ * Earth's mean radius in km; catalog `radius` values are roughly in Earth radii
+ */
+export const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Radius (km) where the logarithmic size curve bends; smaller bodies shrink towards zero
+ */
+const LOG_SIZE_KNEE_KM = 100;
+
+/**
+ * On-screen radius of each kind of body in the uniform mode
+ */
+const UNIFORM_RADII = {
+    star: 3,
+    planet: 1,
+    'dwarf-planet': 1,
+    moon: 0.3,
+    comet: 0.15,
+    spacecraft: 0.15
+};
+
+/**
+ * ScaleModel maps distances (AU) and radii (km) to scene units for each scale mode
+ *
+ * Every mode keeps the outermost reference planet on its catalog orbit, so the view
+ * stays framed when switching. While a transition runs, values are blended from the
+ * previous mode to the new one; sizes blend geometrically since true-scale radii are
+ * many orders of magnitude smaller than the others.
+ */
+export class ScaleModel {
+    constructor(reference = []) {
+        this.mode = DEFAULT_SCALE_MODE;
+        this.previousMode = DEFAULT_SCALE_MODE;
+        this.progress = 1; // Transition progress from the previous mode, 1 when settled
+        this.setReference(reference);
+    }
+
+    /**
+     * Set the reference bodies, sorted by semi-major axis, whose catalog distances anchor the mapping
+     */
+    setReference(reference) {
+        this.reference = reference;
+
+        const outer = reference[reference.length - 1] || { semiMajorAxis: 1, distance: 16 };
+        this.outerDistance = outer.distance;
+        this.unitsPerAU = outer.distance / outer.semiMajorAxis; // True scale
+
+        // Logarithmic distances bend at half the innermost reference orbit
+        this.logKnee = (reference[0]?.semiMajorAxis || outer.semiMajorAxis) / 2;
+
+        // Uniform spacing puts the reference orbits at equal steps out to the outermost one
+        this.uniformReference = reference.map((data, index) => ({
+            semiMajorAxis: data.semiMajorAxis,
+            distance: (index + 1) * outer.distance / reference.length
+        }));
+    }
+
+    /**
+     * Start a transition to another mode
+     */
+    setMode(mode) {
+        if (!SCALE_MODES[mode]) {
+            console.warn('Unknown scale mode:', mode);
+            return;
+        }
+
+        this.previousMode = this.mode;
+        this.mode = mode;
+        this.progress = this.previousMode === mode ? 1 : 0;
+    }
+
+    /**
+     * Whether values are still being blended from the previous mode
+     */
+    isTransitioning() {
+        return this.progress < 1;
+    }
+
+    /**
+     * Blend a value between the previous and current mode with an ease-out curve
+     */
+    blend(getValue, geometric = false) {
+        const target = getValue(this.mode);
+        if (this.progress >= 1) return target;
+
+        const start = getValue(this.previousMode);
+        const t = 1 - Math.pow(1 - this.progress, 3);
+
+        return geometric
+            ? start * Math.pow(target / start, t)
+            : THREE.MathUtils.lerp(start, target, t);
+    }
+
+    /**
+     * Scene distance for a distance from the star (or barycentre) in AU
+     */
+    distance(distanceAU) {
+        return this.blend(mode => this.getDistance(distanceAU, mode));
+    }
+
+    /**
+     * Scene semi-major axis of a body orbiting a star or barycentre
+     */
+    orbitDistance(data) {
+        return this.blend(mode => mode === 'compressed' ? data.distance : this.getDistance(data.semiMajorAxis, mode));
+    }
+
+    /**
+     * Scene radius of a star, planet, moon or comet
+     */
+    radius(data) {
+        return this.blend(mode => this.getRadius(data, mode), true);
+    }
+
+    /**
+     * Scene semi-major axis of a moon around its parent (catalog data of both)
+     */
+    moonDistance(data, parent) {
+        return this.blend(mode => this.getMoonDistance(data, parent, mode), true);
+    }
+
+    /**
+     * Map a distance in AU for one mode
+     */
+    getDistance(distanceAU, mode) {
+        switch (mode) {
+            case 'true':
+                return distanceAU * this.unitsPerAU;
+            case 'logarithmic': {
+                const outer = this.reference[this.reference.length - 1];
+                const scale = outer ? Math.log1p(outer.semiMajorAxis / this.logKnee) : 1;
+                return this.outerDistance * Math.log1p(distanceAU / this.logKnee) / scale;
+            }
+            case 'uniform':
+                return ScaleModel.interpolate(this.uniformReference, distanceAU, true);
+            default:
+                return ScaleModel.interpolate(this.reference, distanceAU, false);
+        }
+    }
+
+    /**
+     * Radius for one mode; bodies without a `meanRadius` take their catalog radius as Earth radii
+     */
+    getRadius(data, mode) {
+        const kind = data.type || 'star';
+        const catalogRadius = data.radius ?? UNIFORM_RADII[kind];
+        const radiusKm = data.meanRadius ?? catalogRadius * EARTH_RADIUS_KM;
+
+        switch (mode) {
+            case 'true':
+                return radiusKm / AU_KM * this.unitsPerAU;
+            case 'logarithmic':
+                // Earth keeps a radius of 1
+                return Math.log1p(radiusKm / LOG_SIZE_KNEE_KM) / Math.log1p(EARTH_RADIUS_KM / LOG_SIZE_KNEE_KM);
+            case 'uniform':
+                return UNIFORM_RADII[kind];
+            default:
+                return catalogRadius;
+        }
+    }
+
+    /**
+     * Moon orbit radius for one mode; outside true scale the catalog gap above the parent's surface is kept
+     */
+    getMoonDistance(data, parent, mode) {
+        switch (mode) {
+            case 'true':
+                return data.semiMajorAxis / AU_KM * this.unitsPerAU;
+            case 'compressed':
+                return data.distance;
+            default:
+                return this.getRadius(parent, mode) + data.distance - parent.radius;
+        }
+    }
+
+    /**
+     * Interpolate between reference orbits; past the outermost one, extrapolate either in
+     * proportion to distance or, for evenly spaced orbits, by continuing the last step
+     */
+    static interpolate(table, distanceAU, continueSteps) {
+        let previous = { semiMajorAxis: 0, distance: 0 };
+        let beforePrevious = previous;
+
+        for (const data of table) {
+            if (distanceAU <= data.semiMajorAxis) {
+                const t = (distanceAU - previous.semiMajorAxis) / (data.semiMajorAxis - previous.semiMajorAxis);
+                return THREE.MathUtils.lerp(previous.distance, data.distance, t);
+            }
+            beforePrevious = previous;
+            previous = data;
+        }
+
+        if (continueSteps) {
+            const step = (previous.distance - beforePrevious.distance) / (previous.semiMajorAxis - beforePrevious.semiMajorAxis);
+            return previous.distance + (distanceAU - previous.semiMajorAxis) * step;
+        }
+
+        return distanceAU * previous.distance / previous.semiMajorAxis;
+    }
+
+    /**
+     * Where each reference orbit falls along the scale bar, from 0 (centre) to 1 (outermost)
+     */
+    getTicks() {
+        return this.reference.map(data => ({
+            name: data.name,
+            semiMajorAxis: data.semiMajorAxis,
+            position: this.distance(data.semiMajorAxis) / this.outerDistance
+        }));
+    }
+
+    /**
+     * Explanation of the current mapping for the scale bar
+     */
+    getDescription() {
+        const { description } = SCALE_MODES[this.mode];
+
+        if (this.mode === 'true') {
+            return `${description} One scene unit is ${(1 / this.unitsPerAU).toPrecision(2)} AU.`;
+        }
+
+        return description;
+    }
+}
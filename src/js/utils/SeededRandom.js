@@ -0,0 +1,44 @@
+/**
+ * SeededRandom is a small deterministic pseudo-random generator (mulberry32)
+ *
+ * Procedural content uses it so the same seed always produces the same result.
+ */
+export class SeededRandom {
+    constructor(seed = 1) {
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * Next value in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Uniform value in [min, max)
+     */
+    range(min, max) {
+        return min + (max - min) * this.next();
+    }
+
+    /**
+     * Normally distributed value (Box-Muller)
+     */
+    gaussian(mean = 0, standardDeviation = 1) {
+        const u = 1 - this.next();
+        const v = this.next();
+        return mean + standardDeviation * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * Rayleigh-distributed value, the usual model for eccentricities and inclinations
+     */
+    rayleigh(sigma) {
+        return sigma * Math.sqrt(-2 * Math.log(1 - this.next()));
+    }
+}
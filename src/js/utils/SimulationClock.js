@@ -0,0 +1,104 @@
+/**
+ * Julian date of the J2000.0 epoch (2000-01-01 12:00 TT)
+ */
+export const J2000 = 2451545.0;
+
+/**
+ * Days in a Julian century, the time unit of the orbital element rates
+ */
+export const DAYS_PER_CENTURY = 36525;
+
+/**
+ * Julian date of the Unix epoch (1970-01-01 00:00 UTC)
+ */
+const UNIX_EPOCH_JD = 2440587.5;
+
+const MS_PER_DAY = 86400000;
+
+/**
+ * Lengths of common time units in days, used for time-scale presets and stepping
+ */
+export const TIME_UNITS = {
+    second: 1 / 86400,
+    minute: 1 / 1440,
+    hour: 1 / 24,
+    day: 1,
+    week: 7,
+    month: 30.436875,
+    year: 365.25
+};
+
+/**
+ * SimulationClock tracks simulated time as a Julian date
+ */
+export class SimulationClock {
+    constructor(date = new Date()) {
+        this.julianDate = SimulationClock.dateToJulian(date);
+
+        // Simulated days that pass per real second at 1x speed (negative runs backwards)
+        this.timeScale = TIME_UNITS.day;
+    }
+
+    /**
+     * Advance the clock by a real-time delta (seconds) and return the elapsed simulated days
+     */
+    tick(deltaSeconds) {
+        const deltaDays = deltaSeconds * this.timeScale;
+        this.julianDate += deltaDays;
+        return deltaDays;
+    }
+
+    /**
+     * Move the clock forwards or backwards by a number of days
+     */
+    step(days) {
+        this.julianDate += days;
+        return days;
+    }
+
+    /**
+     * Set the clock to a JavaScript Date
+     */
+    setDate(date) {
+        this.julianDate = SimulationClock.dateToJulian(date);
+    }
+
+    /**
+     * Get the current simulated time as a JavaScript Date
+     */
+    getDate() {
+        return SimulationClock.julianToDate(this.julianDate);
+    }
+
+    /**
+     * Get Julian centuries elapsed since J2000.0
+     */
+    getCenturiesSinceJ2000() {
+        return (this.julianDate - J2000) / DAYS_PER_CENTURY;
+    }
+
+    /**
+     * Convert a JavaScript Date to a Julian date
+     */
+    static dateToJulian(date) {
+        return date.getTime() / MS_PER_DAY + UNIX_EPOCH_JD;
+    }
+
+    /**
+     * Convert a Julian date to a JavaScript Date
+     */
+    static julianToDate(julianDate) {
+        return new Date((julianDate - UNIX_EPOCH_JD) * MS_PER_DAY);
+    }
+
+    /**
+     * Format a Julian date as "YYYY-MM-DD HH:MM" in UTC
+     */
+    static formatJulianDate(julianDate) {
+        const date = SimulationClock.julianToDate(julianDate);
+        if (isNaN(date.getTime())) {
+            return '—';
+        }
+        return date.toISOString().slice(0, 16).replace('T', ' ');
+    }
+}
@@ -0,0 +1,89 @@
+import * as THREE from 'three';
+import { BodyCatalog } from './BodyCatalog.js';
+import { OrbitalMechanics } from './OrbitalMechanics.js';
+import { Blackbody } from './Blackbody.js';
+
+/**
+ * URL of the bright-star catalog drawn on the sky
+ */
+export const DEFAULT_STAR_CATALOG_URL = 'data/bright-stars.json';
+
+/**
+ * StarCatalog holds the bright stars drawn on the sky behind every system
+ *
+ * Stars are listed by J2000 right ascension in hours, declination in degrees, visual
+ * magnitude and B–V color index, and are kept brightest first, so the stars down to
+ * any magnitude limit are the first few. Optional `constellations` draw stick figures
+ * through stars named in the catalog. The sky is the one seen from the Solar
+ * System; the nearest stars shift a little from other systems, which is ignored.
+ */
+export class StarCatalog {
+    constructor(catalog) {
+        this.name = catalog.name;
+        this.source = catalog.source || '';
+        this.stars = [...catalog.stars].sort((a, b) => a.mag - b.mag);
+        this.constellations = catalog.constellations || [];
+        this.starsByName = new Map(this.stars.map(star => [star.name, star]));
+    }
+
+    /**
+     * Fetch a star catalog and validate it
+     */
+    static async load(url = DEFAULT_STAR_CATALOG_URL) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            throw new Error(`Could not fetch star catalog "${url}": ${error.message}`);
+        }
+
+        if (!response.ok) {
+            throw new Error(`Could not fetch star catalog "${url}": HTTP ${response.status}`);
+        }
+
+        return StarCatalog.parse(await response.text(), url);
+    }
+
+    /**
+     * Parse and validate star catalog JSON text
+     */
+    static parse(text, source = 'star catalog') {
+        let catalog;
+        try {
+            catalog = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Star catalog "${source}" is not valid JSON: ${error.message}`);
+        }
+
+        return new StarCatalog(BodyCatalog.validateStarCatalog(catalog, source));
+    }
+
+    /**
+     * Number of stars at or brighter than a magnitude
+     */
+    countBrighterThan(magnitude) {
+        const index = this.stars.findIndex(star => star.mag > magnitude);
+        return index === -1 ? this.stars.length : index;
+    }
+
+    /**
+     * Get a star by name, or undefined when the catalog has none of that name
+     */
+    getStar(name) {
+        return this.starsByName.get(name);
+    }
+
+    /**
+     * Unit direction in scene axes towards a star
+     */
+    static getDirection(star, target = new THREE.Vector3()) {
+        return OrbitalMechanics.equatorialToScene(star.ra * 15, star.dec, target);
+    }
+
+    /**
+     * Display color of a star from its B–V color index
+     */
+    static getColor(star, target = new THREE.Color()) {
+        return Blackbody.temperatureToColor(Blackbody.colorIndexToTemperature(star.bv), target);
+    }
+}
@@ -0,0 +1,395 @@
+import * as THREE from 'three';
+import { SeededRandom } from './SeededRandom.js';
+
+/**
+ * Texture width in pixels for each quality setting; textures are twice as wide as tall
+ */
+export const TEXTURE_QUALITY = {
+    low: 256,
+    medium: 512,
+    high: 1024
+};
+
+export const DEFAULT_TEXTURE_QUALITY = 'medium';
+
+/**
+ * Surface styles a catalog `texture` can ask for
+ */
+export const TEXTURE_STYLES = ['banded', 'cratered', 'rocky', 'terrestrial'];
+
+/**
+ * Latitude (degrees) where the storm spot of a banded planet sits, as Jupiter's Great Red Spot does
+ */
+const SPOT_LATITUDE = -22;
+
+/**
+ * ValueNoise is seeded 3D value noise, sampled on the unit sphere so textures have no seams
+ */
+class ValueNoise {
+    constructor(random) {
+        this.values = new Float32Array(256);
+        this.permutation = new Uint8Array(512);
+
+        const order = Array.from({ length: 256 }, (_, index) => index);
+        for (let i = 255; i > 0; i--) {
+            const j = Math.floor(random.next() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+
+        for (let i = 0; i < 256; i++) {
+            this.values[i] = random.next();
+            this.permutation[i] = this.permutation[i + 256] = order[i];
+        }
+    }
+
+    /**
+     * Smoothly interpolated lattice value in [0, 1]
+     */
+    sample(x, y, z) {
+        const xi = Math.floor(x);
+        const yi = Math.floor(y);
+        const zi = Math.floor(z);
+        const u = smooth(x - xi);
+        const v = smooth(y - yi);
+        const w = smooth(z - zi);
+
+        const lerp = THREE.MathUtils.lerp;
+        const corner = (dx, dy, dz) => this.values[this.hash(xi + dx, yi + dy, zi + dz)];
+
+        return lerp(
+            lerp(lerp(corner(0, 0, 0), corner(1, 0, 0), u), lerp(corner(0, 1, 0), corner(1, 1, 0), u), v),
+            lerp(lerp(corner(0, 0, 1), corner(1, 0, 1), u), lerp(corner(0, 1, 1), corner(1, 1, 1), u), v),
+            w
+        );
+    }
+
+    /**
+     * Fractal sum of octaves, normalized to [0, 1]
+     */
+    fbm(x, y, z, octaves = 5) {
+        let total = 0;
+        let amplitude = 1;
+        let weight = 0;
+
+        for (let i = 0; i < octaves; i++) {
+            total += this.sample(x, y, z) * amplitude;
+            weight += amplitude;
+            amplitude *= 0.5;
+            x *= 2;
+            y *= 2;
+            z *= 2;
+        }
+
+        return total / weight;
+    }
+
+    /**
+     * Lattice index for integer coordinates
+     */
+    hash(x, y, z) {
+        const p = this.permutation;
+        return p[p[p[x & 255] + (y & 255)] + (z & 255)];
+    }
+}
+
+const smooth = (t) => t * t * (3 - 2 * t);
+
+const smoothstep = (edge0, edge1, value) => smooth(THREE.MathUtils.clamp((value - edge0) / (edge1 - edge0), 0, 1));
+
+/**
+ * Parse "#rrggbb" into 0-255 channels
+ */
+const toRGB = (hex) => [1, 3, 5].map(index => parseInt(hex.slice(index, index + 2), 16));
+
+const mix = (a, b, t) => [0, 1, 2].map(index => a[index] + (b[index] - a[index]) * t);
+
+const shadeRGB = (rgb, factor) => rgb.map(channel => channel * factor);
+
+/**
+ * Stable seed from a body name, so the same body always gets the same surface
+ */
+const hashString = (text) => {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * TextureGenerator paints seeded surface textures for planets at startup, so the app
+ * needs no image files
+ *
+ * Textures are equirectangular canvases. Each is cached by body, texture spec and
+ * resolution, so rebuilding a system or switching quality back reuses earlier work.
+ */
+export class TextureGenerator {
+    constructor(quality = DEFAULT_TEXTURE_QUALITY) {
+        this.quality = quality;
+        this.cache = new Map();
+    }
+
+    /**
+     * Set the quality used for textures requested from now on
+     */
+    setQuality(quality) {
+        if (!TEXTURE_QUALITY[quality]) {
+            console.warn('Unknown texture quality:', quality);
+            return;
+        }
+        this.quality = quality;
+    }
+
+    /**
+     * Get the surface map, and a cloud map when the spec asks for clouds, for a body
+     */
+    getTextures(name, spec, baseColor) {
+        const width = TEXTURE_QUALITY[this.quality];
+        const key = JSON.stringify([name, spec, baseColor, width]);
+
+        if (!this.cache.has(key)) {
+            const surface = TextureGenerator.paintSurface(name, spec, baseColor, width);
+
+            this.cache.set(key, {
+                map: TextureGenerator.createTexture(surface, width),
+                clouds: spec.clouds ? TextureGenerator.createTexture(TextureGenerator.paintClouds(name, spec, width), width) : null
+            });
+        }
+
+        return this.cache.get(key);
+    }
+
+    /**
+     * Paint the surface of a body into RGBA pixels
+     */
+    static paintSurface(name, spec, baseColor, width) {
+        const random = new SeededRandom(spec.seed ?? hashString(name));
+        const noise = new ValueNoise(random);
+        const base = toRGB(baseColor);
+        const colors = (spec.colors || [baseColor]).map(toRGB);
+
+        const shader = {
+            banded: TextureGenerator.createBandedShader,
+            cratered: TextureGenerator.createRockyShader,
+            rocky: TextureGenerator.createRockyShader,
+            terrestrial: TextureGenerator.createTerrestrialShader
+        }[spec.style](spec, colors.length > 1 ? colors : [shadeRGB(base, 0.6), base, shadeRGB(base, 1.25)], random, noise);
+
+        // Cratered bodies default to a heavily cratered surface; other styles may add a few
+        const craters = TextureGenerator.createCraters(spec.craters ?? (spec.style === 'cratered' ? 150 : 0), random);
+
+        return TextureGenerator.paint(width, (point, latitude, longitude) => {
+            const rgb = shader(point, latitude, longitude);
+            return craters.length > 0 ? shadeRGB(rgb, TextureGenerator.getCraterShade(point, craters)) : rgb;
+        });
+    }
+
+    /**
+     * Paint a cloud layer: white with noise-driven transparency, stretched along latitude
+     */
+    static paintClouds(name, spec, width) {
+        const noise = new ValueNoise(new SeededRandom((spec.seed ?? hashString(name)) + 1));
+
+        return TextureGenerator.paint(width, ([x, y, z]) => {
+            const cover = noise.fbm(x * 2.5, y * 6, z * 2.5, 6);
+            return [255, 255, 255, 255 * smoothstep(0.45, 0.65, cover) * 0.9];
+        });
+    }
+
+    /**
+     * Gas giant bands with turbulent edges, fine streaks and an optional storm spot
+     */
+    static createBandedShader(spec, colors, random, noise) {
+        const bandCount = spec.bands ?? 12;
+        const turbulence = spec.turbulence ?? 0.3;
+
+        // Each band takes a colour from the palette with a little brightness jitter
+        const bands = Array.from({ length: bandCount + 1 }, () =>
+            shadeRGB(colors[Math.floor(random.next() * colors.length)], random.range(0.9, 1.1))
+        );
+
+        const spot = spec.spot ? {
+            rgb: toRGB(spec.spot),
+            latitude: THREE.MathUtils.degToRad(SPOT_LATITUDE),
+            longitude: random.range(0, Math.PI * 2),
+            halfWidth: 0.3,
+            halfHeight: 0.14
+        } : null;
+
+        return ([x, y, z], latitude, longitude) => {
+            const warp = (noise.fbm(x * 3, y * 3, z * 3) - 0.5) * turbulence;
+            const band = THREE.MathUtils.clamp((y + warp * Math.cos(latitude) + 1) / 2, 0, 1) * bandCount;
+            const index = Math.floor(band);
+            const blend = smoothstep(0.6, 1, band - index);
+
+            let rgb = mix(bands[index], bands[Math.min(index + 1, bandCount)], blend);
+
+            // Streaks: noise that varies quickly with latitude and slowly with longitude
+            rgb = shadeRGB(rgb, 0.88 + 0.24 * noise.fbm(x * 1.5, y * 24, z * 1.5, 3));
+
+            if (spot) {
+                const dLongitude = Math.atan2(Math.sin(longitude - spot.longitude), Math.cos(longitude - spot.longitude));
+                const distance = Math.hypot(dLongitude / spot.halfWidth, (latitude - spot.latitude) / spot.halfHeight);
+
+                // Pale collar around a swirling core
+                if (distance < 1.4) {
+                    const swirl = 0.85 + 0.3 * noise.sample(distance * 6, dLongitude * 8, 0);
+                    rgb = mix(rgb, shadeRGB(bands[index], 1.15), smoothstep(1.4, 1.1, distance) * 0.5);
+                    rgb = mix(rgb, shadeRGB(spot.rgb, swirl), smoothstep(1.05, 0.7, distance));
+                }
+            }
+
+            return rgb;
+        };
+    }
+
+    /**
+     * Mottled rock shaded between dark and light palette colours, with optional polar caps
+     */
+    static createRockyShader(spec, colors, random, noise) {
+        const ice = [240, 244, 248];
+
+        return ([x, y, z], latitude) => {
+            const terrain = noise.fbm(x * 3, y * 3, z * 3);
+            const detail = noise.fbm(x * 14, y * 14, z * 14, 3);
+            const t = THREE.MathUtils.clamp((terrain - 0.3) / 0.4, 0, 1);
+
+            const position = t * (colors.length - 1);
+            const index = Math.min(Math.floor(position), colors.length - 2);
+            let rgb = shadeRGB(mix(colors[index], colors[index + 1], position - index), 0.85 + 0.3 * detail);
+
+            if (spec.polarCaps) {
+                const edge = THREE.MathUtils.degToRad(74 + (terrain - 0.5) * 20);
+                rgb = mix(rgb, ice, smoothstep(edge - 0.04, edge + 0.04, Math.abs(latitude)));
+            }
+
+            return rgb;
+        };
+    }
+
+    /**
+     * Oceans and continents from a height field, with optional polar ice
+     */
+    static createTerrestrialShader(spec, colors, random, noise) {
+        const [ocean, land, highland = land] = colors;
+        const seaLevel = spec.seaLevel ?? 0.5;
+        const ice = [236, 242, 248];
+
+        return ([x, y, z], latitude) => {
+            const height = noise.fbm(x * 2.2, y * 2.2, z * 2.2, 6);
+            let rgb;
+
+            if (height < seaLevel) {
+                // Deeper water is darker
+                rgb = shadeRGB(ocean, 0.7 + 0.3 * smoothstep(seaLevel - 0.15, seaLevel, height));
+            } else {
+                const elevation = THREE.MathUtils.clamp((height - seaLevel) / (1 - seaLevel) * 3, 0, 1);
+                rgb = shadeRGB(mix(land, highland, elevation), 0.9 + 0.2 * noise.fbm(x * 16, y * 16, z * 16, 3));
+            }
+
+            if (spec.polarCaps) {
+                const edge = THREE.MathUtils.degToRad(70 + (height - 0.5) * 30);
+                rgb = mix(rgb, ice, smoothstep(edge - 0.03, edge + 0.03, Math.abs(latitude)));
+            }
+
+            return rgb;
+        };
+    }
+
+    /**
+     * Random craters: a centre on the unit sphere and an angular radius, mostly small
+     */
+    static createCraters(count, random) {
+        return Array.from({ length: count }, () => {
+            const z = random.range(-1, 1);
+            const angle = random.range(0, Math.PI * 2);
+            const ring = Math.sqrt(1 - z * z);
+            const radius = 0.015 + Math.pow(random.next(), 3) * 0.16;
+
+            return {
+                x: ring * Math.cos(angle),
+                y: z,
+                z: ring * Math.sin(angle),
+                radius,
+                reach: Math.cos(radius * 1.25),
+                depth: random.range(0.1, 0.25)
+            };
+        });
+    }
+
+    /**
+     * Brightness factor from craters covering a point: darker floors and bright rims
+     */
+    static getCraterShade([x, y, z], craters) {
+        let shade = 1;
+
+        for (const crater of craters) {
+            const dot = x * crater.x + y * crater.y + z * crater.z;
+            if (dot < crater.reach) continue;
+
+            const distance = Math.acos(Math.min(dot, 1)) / crater.radius;
+            if (distance < 1) {
+                shade *= 1 - crater.depth * (1 - distance * distance);
+            }
+            shade *= 1 + crater.depth * 0.8 * Math.max(0, 1 - Math.abs(distance - 1) / 0.2);
+        }
+
+        return shade;
+    }
+
+    /**
+     * Fill an equirectangular RGBA image by evaluating a function at every pixel's point on the sphere
+     */
+    static paint(width, getColor) {
+        const height = width / 2;
+        const pixels = new Uint8ClampedArray(width * height * 4);
+        const point = [0, 0, 0];
+
+        for (let row = 0; row < height; row++) {
+            const latitude = (0.5 - (row + 0.5) / height) * Math.PI;
+            const ring = Math.cos(latitude);
+            point[1] = Math.sin(latitude);
+
+            for (let column = 0; column < width; column++) {
+                const longitude = (column + 0.5) / width * Math.PI * 2;
+                point[0] = ring * Math.cos(longitude);
+                point[2] = ring * Math.sin(longitude);
+
+                const [r, g, b, a = 255] = getColor(point, latitude, longitude);
+                const index = (row * width + column) * 4;
+                pixels[index] = r;
+                pixels[index + 1] = g;
+                pixels[index + 2] = b;
+                pixels[index + 3] = a;
+            }
+        }
+
+        return pixels;
+    }
+
+    /**
+     * Upload painted pixels as an sRGB canvas texture
+     */
+    static createTexture(pixels, width) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = width / 2;
+        canvas.getContext('2d').putImageData(new ImageData(pixels, width, width / 2), 0, 0);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        texture.anisotropy = 4;
+        return texture;
+    }
+
+    /**
+     * Free every cached texture
+     */
+    dispose() {
+        this.cache.forEach(({ map, clouds }) => {
+            map.dispose();
+            clouds?.dispose();
+        });
+        this.cache.clear();
+    }
+}
@@ -0,0 +1,233 @@
+import * as THREE from 'three';
+import { OrbitalMechanics } from './OrbitalMechanics.js';
+import { Ephemeris } from './Ephemeris.js';
+import { GRAVITATIONAL_CONSTANT } from './NBodySimulator.js';
+import { AU_KM } from './ScaleModel.js';
+import { DAYS_PER_CENTURY, J2000 } from './SimulationClock.js';
+
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Speed of one AU per day in km/s
+ */
+const KM_PER_SECOND = AU_KM / 86400;
+
+/**
+ * Launch windows are looked for over this many synodic periods, sampled this often in each
+ */
+const WINDOW_SEARCH_PERIODS = 1.25;
+const SAMPLES_PER_SYNODIC_PERIOD = 720;
+
+/**
+ * Passes refining the transfer time to the arrival planet's distance when the spacecraft gets there
+ */
+const TRANSFER_ITERATIONS = 3;
+
+/**
+ * TransferPlanner plans Hohmann transfers between two planets of the same star
+ *
+ * Planets are the userData of planet meshes: catalog elements plus the `phaseOffset`
+ * and `individualSpeed` that run them ahead of or behind their ephemeris, taken to
+ * hold from `julian` on. Positions are in AU in scene axes, relative to the star.
+ *
+ * A Hohmann transfer is half an ellipse touching the departure planet's orbit at one
+ * end and the arrival planet's at the other, launched when the arrival planet is
+ * placed to reach the far end at the same time as the spacecraft. The ellipse is laid
+ * in the ecliptic between the planets' distances from the star at launch and arrival;
+ * the height above the ecliptic is eased from one planet's to the other's, and no
+ * plane change is counted in the delta-v. Delta-v is the change from each planet's
+ * orbital speed, excluding climbing out of and dropping into the planets' own gravity.
+ */
+export class TransferPlanner {
+    constructor(departure, arrival, starMass, julian) {
+        if (departure === arrival) {
+            throw new Error('Departure and arrival must be different planets');
+        }
+        if (TransferPlanner.getHostName(departure) !== TransferPlanner.getHostName(arrival)) {
+            throw new Error(`${departure.name} and ${arrival.name} orbit different stars`);
+        }
+
+        this.departure = departure;
+        this.arrival = arrival;
+        this.mu = GRAVITATIONAL_CONSTANT * starMass; // AU^3 / day^2
+        this.epoch = julian;
+    }
+
+    /**
+     * Plan the transfer at the first launch window, or null when the planets never line up
+     */
+    plan() {
+        const departureJulian = this.findLaunchWindow();
+        if (departureJulian === null) return null;
+
+        const { transferTime, start, end } = this.getTransfer(departureJulian);
+        const r1 = Math.hypot(start.x, start.z);
+        const r2 = Math.hypot(end.x, end.z);
+        const outbound = r2 > r1;
+
+        // Outbound transfers leave from periapsis, inbound ones from apoapsis
+        const periapsis = new THREE.Vector3(start.x, 0, start.z).normalize();
+        if (!outbound) {
+            periapsis.negate();
+        }
+
+        this.transfer = {
+            departure: this.departure.name,
+            arrival: this.arrival.name,
+            departureJulian,
+            arrivalJulian: departureJulian + transferTime,
+            transferTime,
+            ...this.getDeltaV(r1, r2),
+            phaseAngle: this.getPhaseAngle(this.epoch, this.epoch),
+            requiredPhaseAngle: this.getPhaseAngle(departureJulian, departureJulian),
+            departureDistance: r1,
+            arrivalDistance: r2,
+            semiMajorAxis: (r1 + r2) / 2,
+            eccentricity: Math.abs(r2 - r1) / (r1 + r2),
+            periapsis,
+            outbound,
+            departureHeight: start.y,
+            arrivalHeight: end.y
+        };
+
+        return this.transfer;
+    }
+
+    /**
+     * Find the first launch from the epoch on after which the arrival planet meets the spacecraft, or null
+     *
+     * The spacecraft arrives opposite where it left, so launches are where the arrival
+     * planet's longitude at arrival passes 180° from the departure planet's at launch.
+     */
+    findLaunchWindow() {
+        const relativeMotion = Math.abs(TransferPlanner.getMeanMotion(this.departure) - TransferPlanner.getMeanMotion(this.arrival));
+        if (!(relativeMotion > 0)) return null;
+
+        const synodicPeriod = Math.PI * 2 / relativeMotion;
+        const interval = synodicPeriod / SAMPLES_PER_SYNODIC_PERIOD;
+        const sampleCount = Math.ceil(SAMPLES_PER_SYNODIC_PERIOD * WINDOW_SEARCH_PERIODS);
+
+        const mismatch = julian => {
+            const { end } = this.getTransfer(julian);
+            return TransferPlanner.wrapAngle(this.getPhaseAngle(julian, null, end) - 180);
+        };
+
+        let previous = mismatch(this.epoch);
+        if (previous === 0) return this.epoch;
+
+        for (let i = 1; i <= sampleCount; i++) {
+            const julian = this.epoch + i * interval;
+            const current = mismatch(julian);
+
+            // Passing through zero, not jumping between -180 and 180
+            if (Math.sign(current) !== Math.sign(previous) && Math.abs(current - previous) < 180) {
+                const sign = Math.sign(previous);
+                return Ephemeris.findContact(time => sign * mismatch(time), julian, -interval);
+            }
+
+            previous = current;
+        }
+
+        return null;
+    }
+
+    /**
+     * Transfer time for a launch at a Julian date, with the planets' positions at launch and arrival
+     */
+    getTransfer(departureJulian) {
+        const start = this.getPlanetPosition(this.departure, departureJulian);
+        const r1 = Math.hypot(start.x, start.z);
+
+        // The arrival distance depends on when the spacecraft arrives, which depends on the distance
+        let r2 = this.arrival.semiMajorAxis;
+        let transferTime = 0;
+        let end = null;
+
+        for (let i = 0; i < TRANSFER_ITERATIONS; i++) {
+            transferTime = Math.PI * Math.sqrt(Math.pow((r1 + r2) / 2, 3) / this.mu);
+            end = this.getPlanetPosition(this.arrival, departureJulian + transferTime);
+            r2 = Math.hypot(end.x, end.z);
+        }
+
+        return { transferTime, start, end };
+    }
+
+    /**
+     * Speed changes in km/s to leave the departure planet's orbit and match the arrival planet's
+     */
+    getDeltaV(r1, r2) {
+        const departureDeltaV = Math.abs(Math.sqrt(this.mu / r1) * (Math.sqrt(2 * r2 / (r1 + r2)) - 1)) * KM_PER_SECOND;
+        const arrivalDeltaV = Math.abs(Math.sqrt(this.mu / r2) * (1 - Math.sqrt(2 * r1 / (r1 + r2)))) * KM_PER_SECOND;
+
+        return { departureDeltaV, arrivalDeltaV, totalDeltaV: departureDeltaV + arrivalDeltaV };
+    }
+
+    /**
+     * Phase angle in degrees (-180 to 180) of the arrival planet ahead of the departure planet
+     *
+     * The departure planet is taken at one date and the arrival planet at another,
+     * or at a position already known.
+     */
+    getPhaseAngle(departureJulian, arrivalJulian, arrivalPosition = null) {
+        const from = Ephemeris.getLongitude(this.getPlanetPosition(this.departure, departureJulian));
+        const to = Ephemeris.getLongitude(arrivalPosition || this.getPlanetPosition(this.arrival, arrivalJulian));
+
+        return TransferPlanner.wrapAngle(to - from);
+    }
+
+    /**
+     * Spacecraft position in AU relative to the star at a Julian date during the planned transfer
+     */
+    getSpacecraftPosition(julian, target = new THREE.Vector3()) {
+        const transfer = this.transfer;
+        const progress = THREE.MathUtils.clamp((julian - transfer.departureJulian) / transfer.transferTime, 0, 1);
+
+        // Half an orbit from periapsis to apoapsis, or back
+        const meanAnomaly = Math.PI * progress + (transfer.outbound ? 0 : Math.PI);
+        const eccentricAnomaly = OrbitalMechanics.solveKepler(meanAnomaly, transfer.eccentricity);
+        const a = transfer.semiMajorAxis;
+        const e = transfer.eccentricity;
+
+        const x = a * (Math.cos(eccentricAnomaly) - e);
+        const y = a * Math.sqrt(1 - e * e) * Math.sin(eccentricAnomaly);
+
+        // Prograde, like the planets: a quarter turn about ecliptic north leads the periapsis
+        const ahead = transfer.periapsis.clone().applyAxisAngle(Y_AXIS, Math.PI / 2);
+
+        target.copy(transfer.periapsis).multiplyScalar(x).addScaledVector(ahead, y);
+        target.y = THREE.MathUtils.lerp(transfer.departureHeight, transfer.arrivalHeight, progress);
+        return target;
+    }
+
+    /**
+     * Position of a planet in AU relative to its star at a Julian date, as the simulation will place it
+     */
+    getPlanetPosition(data, julian) {
+        const elements = OrbitalMechanics.getElementsAt(data, (julian - J2000) / DAYS_PER_CENTURY);
+        const drift = ((data.individualSpeed ?? 1) - 1) * OrbitalMechanics.getMeanMotion(data) * (julian - this.epoch);
+        const meanAnomaly = THREE.MathUtils.degToRad(elements.meanAnomaly) + (data.phaseOffset || 0) + drift;
+
+        return OrbitalMechanics.getPosition(elements, meanAnomaly);
+    }
+
+    /**
+     * Mean motion in radians per day, including an individual speed multiplier
+     */
+    static getMeanMotion(data) {
+        return OrbitalMechanics.getMeanMotion(data) * (data.individualSpeed ?? 1);
+    }
+
+    /**
+     * Name of the star a planet orbits, from its catalog `host` or its host star mesh; null for the barycentre
+     */
+    static getHostName(data) {
+        return data.host?.name ?? data.host ?? null;
+    }
+
+    /**
+     * Wrap an angle in degrees to the range -180 to 180
+     */
+    static wrapAngle(angle) {
+        return ((angle % 360) + 540) % 360 - 180;
+    }
+}